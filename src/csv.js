@@ -0,0 +1,185 @@
+/**
+ * CSV and TSV conversion following RFC 4180
+ *
+ * Parsing:
+ * - Fields are separated by the delimiter (comma by default, any single character)
+ * - Records end with CRLF or a bare LF; a final line break is optional
+ * - Quoted fields may hold delimiters, line breaks and doubled quotes ("")
+ * - With a header row, records become objects keyed by column name, otherwise arrays
+ * - Type inference turns numbers and true/false into JSON values and empty
+ *   unquoted fields into null; quoted fields always stay strings
+ *
+ * Writing quotes a field only when it holds the delimiter, a quote or a line break,
+ * and ends every record with CRLF.
+ */
+
+// Numbers as written in CSV exports; leading zeros (ZIP codes, account numbers) stay text
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+// Turn an unquoted field into a number, boolean or null where it clearly is one
+function inferType(text) {
+    if (text === '') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (NUMBER_PATTERN.test(text)) {
+        const value = Number(text);
+        // Integers past 2^53 would silently lose digits
+        if (Number.isSafeInteger(value) || !/^-?\d+$/.test(text)) return value;
+    }
+    return text;
+}
+
+/**
+ * Split CSV text into records of fields
+ *
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Single-character field delimiter
+ * @returns {Array<Object>} - Records as { line, fields: [{ text, quoted }] }
+ */
+function tokenize(text, delimiter) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    const endField = () => {
+        fields.push({ text: field, quoted });
+        field = '';
+        quoted = false;
+    };
+    const endRecord = () => {
+        endField();
+        // A blank line is not a record
+        if (fields.length > 1 || fields[0].text !== '' || fields[0].quoted) {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '"' && field === '' && !quoted) {
+            // Quoted field: read up to the closing quote, "" is a literal quote
+            quoted = true;
+            const start = line;
+            i++;
+            for (;;) {
+                if (i >= text.length) {
+                    throw new Error(`line ${start} - unterminated quoted field`);
+                }
+                if (text[i] === '"') {
+                    if (text[i + 1] !== '"') break;
+                    field += '"';
+                    i += 2;
+                } else {
+                    if (text[i] === '\n') line++;
+                    field += text[i++];
+                }
+            }
+            i++;
+            const next = text[i];
+            if (i < text.length && next !== delimiter && next !== '\n' && !(next === '\r' && text[i + 1] === '\n')) {
+                throw new Error(`line ${line} - unexpected character after closing quote`);
+            }
+        } else if (char === delimiter) {
+            endField();
+            i++;
+        } else if (char === '\n' || (char === '\r' && text[i + 1] === '\n')) {
+            endRecord();
+            i += char === '\r' ? 2 : 1;
+            line++;
+            recordLine = line;
+        } else if (char === '"') {
+            throw new Error(`line ${line} - quote inside an unquoted field`);
+        } else {
+            field += char;
+            i++;
+        }
+    }
+    if (field !== '' || quoted || fields.length > 0) endRecord();
+    return records;
+}
+
+/**
+ * Parse CSV text into JSON-ready records
+ *
+ * @param {string} text - CSV text
+ * @param {Object} options - { delimiter = ',', header = true, inferTypes = true }
+ * @returns {Array} - Objects keyed by the header row, or arrays of fields without one
+ * @throws {Error} - On malformed quoting or a record with the wrong number of fields
+ */
+export function parseCsv(text, { delimiter = ',', header = true, inferTypes = true } = {}) {
+    const records = tokenize(text, delimiter);
+    const toValue = ({ text, quoted }) => (inferTypes && !quoted ? inferType(text) : text);
+    if (!header) {
+        return records.map(record => record.fields.map(toValue));
+    }
+    if (records.length === 0) return [];
+
+    // Empty column names get their position, repeated ones the first free counter,
+    // so a,a,a_2 gives a, a_2 and a_2_2 rather than two a_2 columns
+    const used = new Set();
+    const columns = records[0].fields.map(({ text }, index) => {
+        const name = text || `column${index + 1}`;
+        let column = name;
+        for (let count = 2; used.has(column); count++) {
+            column = `${name}_${count}`;
+        }
+        used.add(column);
+        return column;
+    });
+
+    return records.slice(1).map(({ line, fields }) => {
+        if (fields.length !== columns.length) {
+            throw new Error(`line ${line} - expected ${columns.length} fields, found ${fields.length}`);
+        }
+        const record = {};
+        columns.forEach((column, index) => {
+            record[column] = toValue(fields[index]);
+        });
+        return record;
+    });
+}
+
+// Write one value as a CSV field, quoting it only when needed
+function formatField(value, delimiter) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Write records as CSV
+ *
+ * Objects become rows under a header of every key seen, in order of first
+ * appearance; arrays are written as rows as they are. Nested objects and arrays
+ * are written as JSON.
+ *
+ * @param {Array} records - Objects, arrays or plain values
+ * @param {Object} options - { delimiter = ',', header = true }
+ * @returns {string}
+ */
+export function toCsv(records, { delimiter = ',', header = true } = {}) {
+    const columns = [];
+    const known = new Set();
+    for (const record of records) {
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) continue;
+        for (const key of Object.keys(record)) {
+            if (!known.has(key)) {
+                known.add(key);
+                columns.push(key);
+            }
+        }
+    }
+
+    const rows = records.map(record => {
+        if (Array.isArray(record)) return record;
+        if (record !== null && typeof record === 'object') return columns.map(column => record[column]);
+        return [record];
+    });
+    if (header && columns.length > 0) rows.unshift(columns);
+    return rows.map(row => row.map(value => formatField(value, delimiter)).join(delimiter) + '\r\n').join('');
+}
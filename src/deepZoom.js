@@ -0,0 +1,253 @@
+/**
+ * Deep zoom rendering with perturbation theory
+ *
+ * Plain doubles run out of precision once neighbouring pixels are less than
+ * about 1e-13 apart. Past that point one reference orbit is iterated in BigInt
+ * fixed-point at the center of the view, and every pixel only tracks its small
+ * difference (delta) from that orbit, which doubles hold easily:
+ *
+ *     delta' = 2 * Z * delta + delta^2 (+ pixel offset for the Mandelbrot set)
+ *
+ * Where a pixel's orbit passes much closer to zero than the reference does, the
+ * delta loses precision (a "glitch", Pauldelbrot's criterion). Glitched pixels are
+ * collected and rendered again against a new reference placed inside the glitch,
+ * up to MAX_REFERENCES times; anything left over falls back to plain doubles.
+ *
+ * Fixed-point values are BigInts scaled by 2^bits. Exact centers travel through
+ * the viewport as decimal strings (preciseCenterX, preciseCenterY), since doubles
+ * cannot address a point between two pixels at these depths.
+ */
+
+// Fractal types with a perturbation formula (z^2 + c)
+export const DEEP_ZOOM_TYPES = ['mandelbrot', 'julia'];
+
+// View width below which doubles can no longer tell pixels apart reliably
+const DEEP_ZOOM_THRESHOLD = 1e-11;
+
+// Pixels whose |z|^2 drops below this fraction of the reference |Z|^2 are glitched
+const GLITCH_TOLERANCE = 1e-6;
+
+const MAX_REFERENCES = 12;
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Check whether a viewport is too deep for plain doubles and can be perturbed
+ *
+ * @param {string} fractalType - Fractal type
+ * @param {Object} viewport - Viewport from resolveViewport
+ * @returns {boolean}
+ */
+export function isDeepZoom(fractalType, viewport) {
+    return DEEP_ZOOM_TYPES.includes(fractalType) && viewport.zoom < DEEP_ZOOM_THRESHOLD;
+}
+
+// Longest mantissa and largest exponent accepted for exact coordinates
+const MAX_DECIMAL_DIGITS = 400;
+
+/**
+ * Check that text is a plain decimal number, optionally with an exponent, small
+ * enough to convert to fixed-point cheaply
+ */
+export function isDecimal(text) {
+    const match = DECIMAL_PATTERN.exec(text);
+    if (match === null) return false;
+    const digits = (match[2] || '') + (match[3] || '');
+    return digits !== '' && digits.length <= MAX_DECIMAL_DIGITS && Math.abs(parseInt(match[4] || '0')) <= MAX_DECIMAL_DIGITS;
+}
+
+// Fractional bits that keep a view of the given width exact, with room to spare
+function precisionBits(zoom) {
+    return Math.max(64, Math.ceil(-Math.log2(zoom)) + 64);
+}
+
+/**
+ * Parse a decimal string into a fixed-point BigInt, rounded to the nearest unit
+ *
+ * @param {string} text - Decimal number, e.g. "-0.743643887037158704752191506114774"
+ * @param {number} bits - Fractional bits
+ * @returns {bigint}
+ */
+export function toFixedPoint(text, bits) {
+    const [, sign, whole = '', fraction = '', exponent = '0'] = DECIMAL_PATTERN.exec(text);
+    const digits = BigInt((whole + fraction) || '0');
+    const scale = parseInt(exponent) - fraction.length;
+    let value;
+    if (scale >= 0) {
+        value = (digits * 10n ** BigInt(scale)) << BigInt(bits);
+    } else {
+        const divisor = 10n ** BigInt(-scale);
+        value = ((digits << BigInt(bits)) + divisor / 2n) / divisor;
+    }
+    return sign === '-' ? -value : value;
+}
+
+/**
+ * Format a fixed-point BigInt as an exact decimal string
+ *
+ * @param {bigint} value - Fixed-point value
+ * @param {number} bits - Fractional bits
+ * @returns {string}
+ */
+export function fromFixedPoint(value, bits) {
+    const negative = value < 0n;
+    const magnitude = negative ? -value : value;
+    const whole = magnitude >> BigInt(bits);
+    // Every binary fraction has a finite decimal expansion: frac / 2^bits = frac * 5^bits / 10^bits
+    const fraction = ((magnitude - (whole << BigInt(bits))) * 5n ** BigInt(bits)).toString().padStart(bits, '0').replace(/0+$/, '');
+    return (negative ? '-' : '') + whole.toString() + (fraction ? '.' + fraction : '');
+}
+
+// Convert a double to fixed-point, exact down to the 2^-bits unit
+function doubleToFixed(value, bits) {
+    if (value === 0) return 0n;
+    // Scale in two steps so 2^shift cannot overflow for tiny values
+    const shift = Math.min(bits, 60 - Math.floor(Math.log2(Math.abs(value))));
+    const half = Math.floor(shift / 2);
+    const scaled = BigInt(Math.round(value * 2 ** half * 2 ** (shift - half)));
+    return shift >= 0 ? scaled << BigInt(bits - shift) : scaled >> BigInt(shift - bits);
+}
+
+// Convert a fixed-point value of moderate size (reference orbit points) to a double
+function fixedToDouble(value, bits) {
+    return Number(value >> BigInt(bits - 60)) / 2 ** 60;
+}
+
+/**
+ * Move an exact decimal coordinate by a double offset
+ *
+ * @param {string} text - Exact decimal coordinate
+ * @param {number} offset - Offset to add
+ * @param {number} zoom - View width, sets how many digits are kept
+ * @returns {string} - Exact decimal coordinate
+ */
+export function offsetDecimal(text, offset, zoom) {
+    const bits = precisionBits(zoom);
+    return fromFixedPoint(toFixedPoint(text, bits) + doubleToFixed(offset, bits), bits);
+}
+
+/**
+ * Iterate the reference orbit in fixed-point and keep it as doubles
+ *
+ * Stops after the first point outside the bailout radius, or after maxIter steps.
+ */
+function referenceOrbit(fractalType, centerX, centerY, bits, maxIter, bailout, viewport) {
+    const isJulia = fractalType === 'julia';
+    const shift = BigInt(bits);
+    const cx = isJulia ? doubleToFixed(viewport.juliaX, bits) : centerX;
+    const cy = isJulia ? doubleToFixed(viewport.juliaY, bits) : centerY;
+    let zx = isJulia ? centerX : 0n;
+    let zy = isJulia ? centerY : 0n;
+
+    const orbitX = new Float64Array(maxIter + 1);
+    const orbitY = new Float64Array(maxIter + 1);
+    let length = 0;
+    while (length <= maxIter) {
+        const x = fixedToDouble(zx, bits);
+        const y = fixedToDouble(zy, bits);
+        orbitX[length] = x;
+        orbitY[length] = y;
+        length++;
+        if (x * x + y * y > bailout) break;
+
+        const xx = (zx * zx) >> shift;
+        const yy = (zy * zy) >> shift;
+        zy = ((zx * zy) >> (shift - 1n)) + cy;
+        zx = xx - yy + cx;
+    }
+    return { orbitX, orbitY, length };
+}
+
+/**
+ * Escape-time iterations for a grid of samples, computed by perturbation
+ *
+ * Sample (column, row) sits at columnOffsets[column], rowOffsets[row] from the
+ * view center. Results use the same conventions as the escape functions in the
+ * FRACTALS registry: the iteration count (maxIter inside the set) and the final
+ * orbit value.
+ *
+ * @param {string} fractalType - One of DEEP_ZOOM_TYPES
+ * @param {Object} viewport - Viewport from resolveViewport
+ * @param {Float64Array} columnOffsets - Real offset of every sample column
+ * @param {Float64Array} rowOffsets - Imaginary offset of every sample row
+ * @param {number} maxIter - Maximum iterations
+ * @param {number} bailout - Squared escape radius
+ * @param {Function} fallback - (column, row) => { i, zx, zy } in plain doubles, for unresolved glitches
+ * @returns {Object} - { iterations: Uint32Array, zx: Float64Array, zy: Float64Array }, row by row
+ */
+export function perturbedEscapes(fractalType, viewport, columnOffsets, rowOffsets, maxIter, bailout, fallback) {
+    const isJulia = fractalType === 'julia';
+    const columns = columnOffsets.length;
+    const samples = columns * rowOffsets.length;
+    const bits = precisionBits(viewport.zoom);
+    const centerX = toFixedPoint(viewport.preciseCenterX ?? String(viewport.centerX), bits);
+    const centerY = toFixedPoint(viewport.preciseCenterY ?? String(viewport.centerY), bits);
+
+    const iterations = new Uint32Array(samples);
+    const finalX = new Float64Array(samples);
+    const finalY = new Float64Array(samples);
+
+    // First pass against the view center, later passes against a glitched sample
+    let pending = Uint32Array.from({ length: samples }, (_, s) => s);
+    let referenceX = 0;
+    let referenceY = 0;
+    for (let pass = 0; pass < MAX_REFERENCES && pending.length > 0; pass++) {
+        const { orbitX, orbitY, length } = referenceOrbit(
+            fractalType,
+            centerX + doubleToFixed(referenceX, bits),
+            centerY + doubleToFixed(referenceY, bits),
+            bits, maxIter, bailout, viewport
+        );
+
+        const glitched = [];
+        for (const s of pending) {
+            // Offset of the sample from the current reference
+            const offsetX = columnOffsets[s % columns] - referenceX;
+            const offsetY = rowOffsets[Math.floor(s / columns)] - referenceY;
+            let dx = isJulia ? offsetX : 0;
+            let dy = isJulia ? offsetY : 0;
+            const addX = isJulia ? 0 : offsetX;
+            const addY = isJulia ? 0 : offsetY;
+
+            let n = 0;
+            for (;;) {
+                const refX = orbitX[n];
+                const refY = orbitY[n];
+                const zx = refX + dx;
+                const zy = refY + dy;
+                const modulus = zx * zx + zy * zy;
+                if (modulus > bailout || n === maxIter) {
+                    iterations[s] = n;
+                    finalX[s] = zx;
+                    finalY[s] = zy;
+                    break;
+                }
+                if (modulus < GLITCH_TOLERANCE * (refX * refX + refY * refY) || n + 1 >= length) {
+                    glitched.push(s);
+                    break;
+                }
+                const nextX = 2 * (refX * dx - refY * dy) + dx * dx - dy * dy + addX;
+                dy = 2 * (refX * dy + refY * dx) + 2 * dx * dy + addY;
+                dx = nextX;
+                n++;
+            }
+        }
+
+        // Put the next reference in the middle of the glitched samples
+        pending = Uint32Array.from(glitched);
+        if (pending.length > 0) {
+            const s = pending[pending.length >> 1];
+            referenceX = columnOffsets[s % columns];
+            referenceY = rowOffsets[Math.floor(s / columns)];
+        }
+    }
+
+    for (const s of pending) {
+        const { i, zx, zy } = fallback(s % columns, Math.floor(s / columns));
+        iterations[s] = i;
+        finalX[s] = zx;
+        finalY[s] = zy;
+    }
+
+    return { iterations, zx: finalX, zy: finalY };
+}
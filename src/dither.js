@@ -0,0 +1,94 @@
+/**
+ * Bit-depth reduction with dithering for e-paper displays
+ *
+ * Reduces 0-255 pixel values to 2, 4 or 16 evenly spaced levels (1, 2 or 4 bits)
+ * so the encoders can write packed low bit-depth images. Level k stands for the
+ * original value round(k * 255 / (levels - 1)), which is also how reducePalette
+ * picks each level's color.
+ *
+ * Dithering methods:
+ * - floyd-steinberg: Error diffusion, best for photos and smooth gradients
+ * - bayer: Ordered dithering with an 8x8 Bayer matrix, stable regular pattern
+ * - none: Plain rounding to the nearest level
+ */
+
+export const DITHER_METHODS = ['floyd-steinberg', 'bayer', 'none'];
+
+// 8x8 Bayer threshold matrix, values 0-63
+const BAYER_8 = [
+    [0, 32, 8, 40, 2, 34, 10, 42],
+    [48, 16, 56, 24, 50, 18, 58, 26],
+    [12, 44, 4, 36, 14, 46, 6, 38],
+    [60, 28, 52, 20, 62, 30, 54, 22],
+    [3, 35, 11, 43, 1, 33, 9, 41],
+    [51, 19, 59, 27, 49, 17, 57, 25],
+    [15, 47, 7, 39, 13, 45, 5, 37],
+    [63, 31, 55, 23, 61, 29, 53, 21],
+];
+
+/**
+ * Reduce pixel values to the levels of a lower bit depth
+ *
+ * @param {Uint8Array} pixelData - 0-255 values, one per pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} bitDepth - 1, 2 or 4
+ * @param {string} method - One of DITHER_METHODS
+ * @returns {Uint8Array} - Level indices from 0 to 2^bitDepth - 1, one per pixel
+ */
+export function ditherPixels(pixelData, width, height, bitDepth, method = 'floyd-steinberg') {
+    const maxLevel = (1 << bitDepth) - 1;
+    const step = 255 / maxLevel;
+    const levels = new Uint8Array(width * height);
+    const toLevel = (value) => Math.min(Math.max(Math.round(value / step), 0), maxLevel);
+
+    if (method === 'bayer') {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const threshold = (BAYER_8[y & 7][x & 7] + 0.5) / 64 - 0.5;
+                levels[y * width + x] = toLevel(pixelData[y * width + x] + threshold * step);
+            }
+        }
+        return levels;
+    }
+
+    if (method === 'none') {
+        for (let i = 0; i < levels.length; i++) levels[i] = toLevel(pixelData[i]);
+        return levels;
+    }
+
+    // Floyd-Steinberg: push each pixel's rounding error onto its unvisited neighbours
+    const values = Float32Array.from(pixelData);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const level = toLevel(values[i]);
+            const error = values[i] - level * step;
+            levels[i] = level;
+            if (x + 1 < width) values[i + 1] += error * 7 / 16;
+            if (y + 1 < height) {
+                if (x > 0) values[i + width - 1] += error * 3 / 16;
+                values[i + width] += error * 5 / 16;
+                if (x + 1 < width) values[i + width + 1] += error / 16;
+            }
+        }
+    }
+    return levels;
+}
+
+/**
+ * Pick the color of every level from a full 256-entry palette
+ *
+ * @param {Uint8Array} palette - 768-byte RGB lookup table
+ * @param {number} bitDepth - 1, 2 or 4
+ * @returns {Uint8Array} - RGB lookup table with 2^bitDepth entries
+ */
+export function reducePalette(palette, bitDepth) {
+    const count = 1 << bitDepth;
+    const reduced = new Uint8Array(count * 3);
+    for (let level = 0; level < count; level++) {
+        const index = Math.round((level * 255) / (count - 1));
+        reduced.set(palette.subarray(index * 3, index * 3 + 3), level * 3);
+    }
+    return reduced;
+}
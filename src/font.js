@@ -0,0 +1,215 @@
+/**
+ * Tiny built-in bitmap font for stamping text onto rendered images
+ *
+ * Glyphs are 5x7 pixels with one pixel of spacing, covering printable ASCII
+ * letters, digits and common punctuation; anything else draws as '?'. Text is
+ * drawn straight into 0-255 pixel arrays, so it goes through the same palette
+ * as the fractal underneath.
+ *
+ * Captions are single lines placed in a corner with one of these contrast styles:
+ * - box: Light text on a dark box, readable on any image
+ * - outline: Light text with a dark outline, hides less of the image
+ * - light: Light text only
+ * - dark: Dark text only
+ */
+
+export const GLYPH_WIDTH = 5;
+export const GLYPH_HEIGHT = 7;
+
+// Gap between glyphs, in font pixels
+const SPACING = 1;
+
+// Seven rows per glyph, five bits per row with the leftmost pixel in the high bit
+const GLYPHS = {
+    ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+    '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+    '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+    '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+    '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+    '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+    'D': [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+    'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+    'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+    'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+    'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+    'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+    'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+    'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+    'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    'a': [0x00, 0x00, 0x0E, 0x01, 0x0F, 0x11, 0x0F],
+    'b': [0x10, 0x10, 0x16, 0x19, 0x11, 0x11, 0x1E],
+    'c': [0x00, 0x00, 0x0E, 0x10, 0x10, 0x11, 0x0E],
+    'd': [0x01, 0x01, 0x0D, 0x13, 0x11, 0x11, 0x0F],
+    'e': [0x00, 0x00, 0x0E, 0x11, 0x1F, 0x10, 0x0E],
+    'f': [0x06, 0x09, 0x08, 0x1C, 0x08, 0x08, 0x08],
+    'g': [0x00, 0x0F, 0x11, 0x11, 0x0F, 0x01, 0x0E],
+    'h': [0x10, 0x10, 0x16, 0x19, 0x11, 0x11, 0x11],
+    'i': [0x04, 0x00, 0x0C, 0x04, 0x04, 0x04, 0x0E],
+    'j': [0x02, 0x00, 0x06, 0x02, 0x02, 0x12, 0x0C],
+    'k': [0x10, 0x10, 0x12, 0x14, 0x18, 0x14, 0x12],
+    'l': [0x0C, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    'm': [0x00, 0x00, 0x1A, 0x15, 0x15, 0x11, 0x11],
+    'n': [0x00, 0x00, 0x16, 0x19, 0x11, 0x11, 0x11],
+    'o': [0x00, 0x00, 0x0E, 0x11, 0x11, 0x11, 0x0E],
+    'p': [0x00, 0x00, 0x1E, 0x11, 0x1E, 0x10, 0x10],
+    'q': [0x00, 0x00, 0x0D, 0x13, 0x0F, 0x01, 0x01],
+    'r': [0x00, 0x00, 0x16, 0x19, 0x10, 0x10, 0x10],
+    's': [0x00, 0x00, 0x0E, 0x10, 0x0E, 0x01, 0x1E],
+    't': [0x08, 0x08, 0x1C, 0x08, 0x08, 0x09, 0x06],
+    'u': [0x00, 0x00, 0x11, 0x11, 0x11, 0x13, 0x0D],
+    'v': [0x00, 0x00, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'w': [0x00, 0x00, 0x11, 0x11, 0x15, 0x15, 0x0A],
+    'x': [0x00, 0x00, 0x11, 0x0A, 0x04, 0x0A, 0x11],
+    'y': [0x00, 0x00, 0x11, 0x11, 0x0F, 0x01, 0x0E],
+    'z': [0x00, 0x00, 0x1F, 0x02, 0x04, 0x08, 0x1F],
+    '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+    ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+    ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+    ';': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x04, 0x08],
+    '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+    '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+    '=': [0x00, 0x00, 0x1F, 0x00, 0x1F, 0x00, 0x00],
+    '!': [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+    '?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04],
+    '\'': [0x04, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00],
+    '"': [0x0A, 0x0A, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    '[': [0x0E, 0x08, 0x08, 0x08, 0x08, 0x08, 0x0E],
+    ']': [0x0E, 0x02, 0x02, 0x02, 0x02, 0x02, 0x0E],
+    '<': [0x02, 0x04, 0x08, 0x10, 0x08, 0x04, 0x02],
+    '>': [0x08, 0x04, 0x02, 0x01, 0x02, 0x04, 0x08],
+    '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    '|': [0x04, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    '#': [0x0A, 0x0A, 0x1F, 0x0A, 0x1F, 0x0A, 0x0A],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+    '&': [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D],
+    '*': [0x00, 0x04, 0x15, 0x0E, 0x15, 0x04, 0x00],
+    '_': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x1F],
+    '@': [0x0E, 0x11, 0x01, 0x0D, 0x15, 0x15, 0x0E],
+};
+
+/**
+ * Size of a single line of text in image pixels, without padding
+ *
+ * @param {string} text - Text to measure
+ * @param {number} scale - Image pixels per font pixel
+ * @returns {Object} - { width, height }
+ */
+export function measureText(text, scale = 1) {
+    const length = [...text].length;
+    return {
+        width: length > 0 ? (length * (GLYPH_WIDTH + SPACING) - SPACING) * scale : 0,
+        height: GLYPH_HEIGHT * scale,
+    };
+}
+
+/**
+ * Draw a single line of text into a pixel array, clipped to the image
+ *
+ * @param {Uint8Array} pixels - 0-255 values, one per pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string} text - Text to draw
+ * @param {number} x - Left edge of the text box
+ * @param {number} y - Top edge of the text box
+ * @param {Object} options - { scale, color, background, outline, padding }; background
+ *                           fills the box behind the text and outline draws a one
+ *                           pixel border around every glyph, null skips either
+ */
+export function drawText(pixels, width, height, text, x, y, { scale = 1, color = 255, background = null, outline = null, padding = 0 } = {}) {
+    const size = measureText(text, scale);
+    const fill = (left, top, w, h, value) => {
+        for (let py = Math.max(top, 0); py < Math.min(top + h, height); py++) {
+            for (let px = Math.max(left, 0); px < Math.min(left + w, width); px++) {
+                pixels[py * width + px] = value;
+            }
+        }
+    };
+
+    if (background !== null) {
+        fill(x, y, size.width + 2 * padding, size.height + 2 * padding, background);
+    }
+
+    const drawGlyphs = (offsetX, offsetY, value) => {
+        let left = x + padding + offsetX;
+        for (const char of text) {
+            const glyph = GLYPHS[char] || GLYPHS['?'];
+            for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                for (let column = 0; column < GLYPH_WIDTH; column++) {
+                    if (glyph[row] & (0x10 >> column)) {
+                        fill(left + column * scale, y + padding + offsetY + row * scale, scale, scale, value);
+                    }
+                }
+            }
+            left += (GLYPH_WIDTH + SPACING) * scale;
+        }
+    };
+
+    // The outline is the text drawn once per neighbouring offset, underneath the text itself
+    if (outline !== null) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx !== 0 || dy !== 0) drawGlyphs(dx, dy, outline);
+            }
+        }
+    }
+    drawGlyphs(0, 0, color);
+}
+
+export const CAPTION_CORNERS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+export const CAPTION_CONTRASTS = ['box', 'outline', 'light', 'dark'];
+
+// Distance between a caption and the image edge, in image pixels
+const CAPTION_MARGIN = 4;
+
+/**
+ * Stamp a single-line caption into a corner of an image
+ *
+ * Light and dark are the ends of the 0-255 range, so they become the first and
+ * last colors of whatever palette the image is encoded with.
+ *
+ * @param {Uint8Array} pixels - 0-255 values, one per pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string} text - Caption text
+ * @param {Object} options - { corner, contrast, scale }, see CAPTION_CORNERS and CAPTION_CONTRASTS
+ */
+export function stampCaption(pixels, width, height, text, { corner = 'bottom-right', contrast = 'box', scale = 1 } = {}) {
+    const padding = contrast === 'box' ? 2 * scale : contrast === 'outline' ? 1 : 0;
+    const size = measureText(text, scale);
+    const boxWidth = size.width + 2 * padding;
+    const boxHeight = size.height + 2 * padding;
+    const x = corner.endsWith('left') ? CAPTION_MARGIN : width - boxWidth - CAPTION_MARGIN;
+    const y = corner.startsWith('top') ? CAPTION_MARGIN : height - boxHeight - CAPTION_MARGIN;
+
+    drawText(pixels, width, height, text, Math.max(x, 0), Math.max(y, 0), {
+        scale,
+        padding,
+        color: contrast === 'dark' ? 0 : 255,
+        background: contrast === 'box' ? 0 : null,
+        outline: contrast === 'outline' ? 0 : null,
+    });
+}
@@ -1,93 +1,577 @@
 /**
- * Fractal generation module for Mandelbrot and Julia sets
- * 
+ * Fractal generation module
+ *
  * This module generates grayscale fractal images as pixel data arrays.
- * It supports both Mandelbrot and Julia set fractals with randomized parameters.
- * 
+ * Every supported formula lives in the FRACTALS registry together with its
+ * default viewport; the seed jitters that viewport for variety.
+ *
  * Parameters:
  * - width: Image width in pixels
- * - height: Image height in pixels  
+ * - height: Image height in pixels
  * - maxIter: Maximum iterations for escape-time calculation (affects detail level)
  * - seed: Random seed to generate consistent parameters
- * - fractalType: Either 'mandelbrot' or 'julia'
+ * - fractalType: One of FRACTAL_TYPES (unknown types render as 'mandelbrot')
+ * - viewport: Optional { zoom, centerX, centerY, juliaX, juliaY, power }, see resolveViewport
+ * - options: Optional { coloring, aa }, see generateFractal
  *
  * Returns:
  * - Uint8Array containing grayscale pixel data (0-255 values)
+ *
+ * Views too deep for doubles switch to perturbation rendering, see deepZoom.js.
  */
 
-export function generateFractal(width, height, maxIter, seed, fractalType) {
-    const pixelData = new Uint8Array(width * height);
-    
-    // Simple random number generator with seed
-    const random = (() => {
-        let state = seed;
-        return () => {
-            state = (state * 1664525 + 1013904223) >>> 0;
-            return state / 0xFFFFFFFF;
-        };
-    })();
-    
-    // Parameters that vary with seed and fractal type
-    const zoom = 2.8 + random() * 0.8;
-    let centerX = -0.65 + (random() - 0.5) * 0.3;
-    let centerY = (random() - 0.5) * 0.3;
+import { isDeepZoom, perturbedEscapes, toFixedPoint, fromFixedPoint } from './deepZoom';
 
-    // Julia set parameters
-    const juliaX = -0.4 + random() * 0.8;
-    const juliaY = -0.4 + random() * 0.8;
+// Grayscale ramp shared by the escape-time fractals, black for points inside the set
+const escapeShade = (i, maxIter) => (i === maxIter ? 0 : Math.floor(255 * Math.sqrt(i / maxIter)));
 
-    // Adjust parameters based on fractal type
-    if (fractalType === 'julia') {
-        centerX = 0;
-        centerY = 0;
-    }
+const NEWTON_ROOTS = [[1, 0], [-0.5, Math.sqrt(3) / 2], [-0.5, -Math.sqrt(3) / 2]];
 
-    // Generate fractal
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            let zx = 0, zy = 0;
-            const cx = (x - width / 2) * zoom / width + centerX;
-            const cy = (y - height / 2) * zoom / height + centerY;
-
-            // Initialize based on fractal type
-            if (fractalType === 'julia') {
-                zx = cx;
-                zy = cy;
+/**
+ * Fractal formulas
+ *
+ * - view: Default viewport; zoom is the smallest zoom the seed picks, zoomRange
+ *         and centerJitter say how far the seed may move away from it
+ * - focus: Optional point worth zooming into, used by zoom animations
+ * - julia: Range the seed picks the constant (juliaX, juliaY) from
+ * - escape: Iterates one point and returns the iteration count, leaving the
+ *           final orbit value in `orbit`; params.bailout is the squared escape
+ *           radius (default: 4)
+ * - shade: Optional, turns the iteration count into a 0-255 value
+ */
+export const FRACTALS = {
+    mandelbrot: {
+        view: { centerX: -0.65, centerY: 0, zoom: 2.8, zoomRange: 0.8, centerJitter: 0.3 },
+        focus: { x: -0.743643887037151, y: 0.13182590420533 }, // Seahorse valley
+        escape(cx, cy, maxIter, { bailout = 4 }, orbit) {
+            let zx = 0, zy = 0, i = 0;
+            while (zx * zx + zy * zy <= bailout && i < maxIter) {
+                const temp = zx * zx - zy * zy + cx;
+                zy = 2 * zx * zy + cy;
+                zx = temp;
+                i++;
             }
+            orbit.zx = zx;
+            orbit.zy = zy;
+            return i;
+        },
+    },
 
-            let i = 0;
-            while (zx * zx + zy * zy <= 4 && i < maxIter) {
-                let temp;
-                switch (fractalType) {
-                    case 'julia':
-                        temp = zx * zx - zy * zy + juliaX;
-                        zy = 2 * zx * zy + juliaY;
-                        zx = temp;
-                        break;
-
-                    case 'burningship':
-                        temp = zx * zx - zy * zy + cx;
-                        zy = Math.abs(2 * zx * zy) + cy;
-                        zx = temp;
-                        break;
-
-                    default: // mandelbrot
-                        temp = zx * zx - zy * zy + cx;
-                        zy = 2 * zx * zy + cy;
-                        zx = temp;
+    julia: {
+        view: { centerX: 0, centerY: 0, zoom: 2.8, zoomRange: 0.8, centerJitter: 0 },
+        escape(cx, cy, maxIter, { juliaX, juliaY, bailout = 4 }, orbit) {
+            let zx = cx, zy = cy, i = 0;
+            while (zx * zx + zy * zy <= bailout && i < maxIter) {
+                const temp = zx * zx - zy * zy + juliaX;
+                zy = 2 * zx * zy + juliaY;
+                zx = temp;
+                i++;
+            }
+            orbit.zx = zx;
+            orbit.zy = zy;
+            return i;
+        },
+    },
+
+    burningship: {
+        view: { centerX: -0.45, centerY: -0.5, zoom: 3.2, zoomRange: 0.4, centerJitter: 0.2 },
+        escape(cx, cy, maxIter, { bailout = 4 }, orbit) {
+            let zx = 0, zy = 0, i = 0;
+            while (zx * zx + zy * zy <= bailout && i < maxIter) {
+                const temp = zx * zx - zy * zy + cx;
+                zy = Math.abs(2 * zx * zy) + cy;
+                zx = temp;
+                i++;
+            }
+            orbit.zx = zx;
+            orbit.zy = zy;
+            return i;
+        },
+    },
+
+    tricorn: {
+        view: { centerX: -0.3, centerY: 0, zoom: 3.6, zoomRange: 0.6, centerJitter: 0.2 },
+        escape(cx, cy, maxIter, { bailout = 4 }, orbit) {
+            let zx = 0, zy = 0, i = 0;
+            while (zx * zx + zy * zy <= bailout && i < maxIter) {
+                const temp = zx * zx - zy * zy + cx;
+                zy = -2 * zx * zy + cy;
+                zx = temp;
+                i++;
+            }
+            orbit.zx = zx;
+            orbit.zy = zy;
+            return i;
+        },
+    },
+
+    // z^power + c, with power taken from params (any real power >= 1)
+    multibrot: {
+        view: { centerX: 0, centerY: 0, zoom: 2.8, zoomRange: 0.6, centerJitter: 0.2 },
+        power: 3,
+        escape(cx, cy, maxIter, { power, bailout = 4 }, orbit) {
+            const integerPower = Number.isInteger(power);
+            let zx = 0, zy = 0, i = 0;
+            while (zx * zx + zy * zy <= bailout && i < maxIter) {
+                if (integerPower) {
+                    // Repeated multiplication is much cheaper than the polar form
+                    let px = zx, py = zy;
+                    for (let k = 1; k < power; k++) {
+                        const temp = px * zx - py * zy;
+                        py = px * zy + py * zx;
+                        px = temp;
+                    }
+                    zx = px + cx;
+                    zy = py + cy;
+                } else {
+                    const r = Math.pow(zx * zx + zy * zy, power / 2);
+                    const theta = Math.atan2(zy, zx) * power;
+                    zx = r * Math.cos(theta) + cx;
+                    zy = r * Math.sin(theta) + cy;
                 }
                 i++;
             }
-            
-            // Simple grayscale coloring
-            if (i === maxIter) {
-                pixelData[y * width + x] = 0; // Black for points inside set
-            } else {
-                // Basic gradient
-                pixelData[y * width + x] = Math.floor(255 * Math.sqrt(i / maxIter));
+            orbit.zx = zx;
+            orbit.zy = zy;
+            return i;
+        },
+    },
+
+    // Newton's method for z^3 - 1, colored by the root each point converges to
+    newton: {
+        view: { centerX: 0, centerY: 0, zoom: 3, zoomRange: 0.6, centerJitter: 0.3 },
+        escape(cx, cy, maxIter, params, orbit) {
+            let zx = cx, zy = cy, i = 0;
+            orbit.root = -1;
+            while (i < maxIter) {
+                for (let r = 0; r < NEWTON_ROOTS.length; r++) {
+                    const dx = zx - NEWTON_ROOTS[r][0];
+                    const dy = zy - NEWTON_ROOTS[r][1];
+                    if (dx * dx + dy * dy < 1e-12) orbit.root = r;
+                }
+                if (orbit.root >= 0) break;
+
+                // z - (z^3 - 1) / (3z^2)
+                const z2x = zx * zx - zy * zy;
+                const z2y = 2 * zx * zy;
+                const denom = 3 * (z2x * z2x + z2y * z2y);
+                if (denom === 0) break;
+                const fx = z2x * zx - z2y * zy - 1;
+                const fy = z2x * zy + z2y * zx;
+                zx -= (fx * z2x + fy * z2y) / denom;
+                zy -= (fy * z2x - fx * z2y) / denom;
+                i++;
+            }
+            orbit.zx = zx;
+            orbit.zy = zy;
+            return i;
+        },
+        // One third of the 1-255 range per root, brighter for faster convergence
+        shade(i, maxIter, orbit) {
+            if (orbit.root < 0) return 0;
+            return 1 + orbit.root * 85 + Math.floor(84 * (1 - Math.sqrt(i / maxIter)));
+        },
+    },
+
+    // Ushiki's phoenix: z(n+1) = z(n)^2 + juliaX + juliaY * z(n-1)
+    phoenix: {
+        view: { centerX: 0, centerY: 0, zoom: 3.2, zoomRange: 0.4, centerJitter: 0.1 },
+        julia: { x: 0.5267, y: -0.55, range: 0.08 },
+        escape(cx, cy, maxIter, { juliaX, juliaY, bailout = 4 }, orbit) {
+            // Axes are swapped so the classic bird shape stands upright
+            let zx = cy, zy = cx, prevX = 0, prevY = 0, i = 0;
+            while (zx * zx + zy * zy <= bailout && i < maxIter) {
+                const nextX = zx * zx - zy * zy + juliaX + juliaY * prevX;
+                const nextY = 2 * zx * zy + juliaY * prevY;
+                prevX = zx;
+                prevY = zy;
+                zx = nextX;
+                zy = nextY;
+                i++;
             }
+            orbit.zx = zx;
+            orbit.zy = zy;
+            return i;
+        },
+    },
+};
+
+export const FRACTAL_TYPES = Object.keys(FRACTALS);
+
+const DEFAULT_JULIA = { x: -0.4, y: -0.4, range: 0.8 };
+
+// Simple random number generator with seed (LCG), returns values in [0, 1]
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 0xFFFFFFFF;
+    };
+}
+
+/**
+ * Fractal type used when a request names a seed but no type: a seeded coin toss
+ * between mandelbrot and julia
+ *
+ * @param {number} seed - Random seed
+ * @returns {string} - 'mandelbrot' or 'julia'
+ */
+export function pickFractalType(seed) {
+    return seededRandom(seed)() < 0.5 ? 'mandelbrot' : 'julia';
+}
+
+/**
+ * 32-bit FNV-1a hash of a string's UTF-8 bytes, usable as a seed
+ *
+ * @param {string} text - Any string
+ * @returns {number} - Unsigned 32-bit hash
+ */
+export function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (const byte of new TextEncoder().encode(text)) {
+        hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+// Types that still read well as small icons, Julia sets are picked half the time
+const AVATAR_TYPES = ['mandelbrot', 'multibrot', 'tricorn', 'phoenix'];
+
+// Point on the main cardioid's boundary, scaled by r; Julia sets for c near it are connected and shapely
+function cardioidPoint(angle, r) {
+    return {
+        x: r * (Math.cos(angle) / 2 - Math.cos(2 * angle) / 4),
+        y: r * (Math.sin(angle) / 2 - Math.sin(2 * angle) / 4),
+    };
+}
+
+/**
+ * Everything needed to render a stable avatar for a string
+ *
+ * The string is hashed into a seed, and the seeded LCG picks the type, the Julia
+ * constant or a spot on the set's boundary to look at, and a palette, so the same
+ * string always gets the same image.
+ *
+ * @param {string} text - Any string, e.g. a user id or a poll option name
+ * @param {string[]} paletteNames - Palettes to choose from
+ * @returns {Object} - { seed, fractalType, viewport, palette }
+ */
+export function avatarParams(text, paletteNames) {
+    const seed = hashString(text);
+    const random = seededRandom(seed);
+    const fractalType = random() < 0.5 ? 'julia' : AVATAR_TYPES[Math.floor(random() * AVATAR_TYPES.length) % AVATAR_TYPES.length];
+    const palette = paletteNames[Math.floor(random() * paletteNames.length) % paletteNames.length];
+    const boundary = cardioidPoint(random() * 2 * Math.PI, 0.97 + random() * 0.06);
+
+    const overrides = {};
+    if (fractalType === 'julia') {
+        Object.assign(overrides, { centerX: 0, centerY: 0, zoom: 3, juliaX: boundary.x, juliaY: boundary.y });
+    } else if (fractalType === 'mandelbrot') {
+        Object.assign(overrides, { centerX: boundary.x, centerY: boundary.y, zoom: 0.1 + random() * 0.3 });
+    }
+    return { seed, fractalType, viewport: resolveViewport(seed, fractalType, overrides), palette };
+}
+
+/**
+ * Work out the region of the complex plane to render
+ *
+ * Zoom, center and the Julia constant are drawn from the seeded LCG around the
+ * fractal's default view, then any value present in overrides replaces the
+ * seeded one. zoom is the width of the view in the complex plane, so smaller
+ * values zoom in.
+ *
+ * @param {number} seed - Random seed
+ * @param {string} fractalType - Fractal type
+ * @param {Object} overrides - Optional { zoom, centerX, centerY, juliaX, juliaY, power }
+ * @returns {Object} - The effective { zoom, centerX, centerY, juliaX, juliaY, power }
+ */
+export function resolveViewport(seed, fractalType, overrides = {}) {
+    const fractal = FRACTALS[fractalType] || FRACTALS.mandelbrot;
+    const { view } = fractal;
+    const julia = fractal.julia || DEFAULT_JULIA;
+
+    const random = seededRandom(seed);
+
+    // Parameters that vary with seed and fractal type
+    const viewport = {
+        zoom: view.zoom + random() * view.zoomRange,
+        centerX: view.centerX + (random() - 0.5) * view.centerJitter,
+        centerY: view.centerY + (random() - 0.5) * view.centerJitter,
+        // Julia set parameters
+        juliaX: julia.x + random() * julia.range,
+        juliaY: julia.y + random() * julia.range,
+    };
+    if (fractal.power !== undefined) {
+        viewport.power = fractal.power;
+    }
+
+    for (const key of Object.keys(overrides)) {
+        if (overrides[key] !== undefined && overrides[key] !== null) {
+            viewport[key] = overrides[key];
         }
     }
 
+    return viewport;
+}
+
+/**
+ * Viewport of a slippy-map tile
+ *
+ * Zoom level 0 is a 4x4 square around the fractal's default center, and zoom
+ * level z splits it into 2^z by 2^z tiles, numbered from the top left like web
+ * map tiles. The exact tile center is worked out in fixed-point as well, for
+ * tiles deeper than doubles can address.
+ *
+ * @param {string} fractalType - One of FRACTAL_TYPES
+ * @param {number} z - Zoom level
+ * @param {bigint|number} x - Tile column
+ * @param {bigint|number} y - Tile row
+ * @returns {Object} - { zoom, centerX, centerY, preciseCenterX, preciseCenterY } for resolveViewport overrides
+ */
+export function tileViewport(fractalType, z, x, y) {
+    const { view } = FRACTALS[fractalType];
+    const worldSize = 4;
+    const zoom = worldSize / 2 ** z;
+
+    // Tile centers are odd multiples of 2^(1 - z) away from the world's corner
+    const bits = z + 64;
+    const preciseCenter = (origin, tile) => fromFixedPoint(
+        toFixedPoint(String(origin - worldSize / 2), bits) + ((2n * BigInt(tile) + 1n) << BigInt(bits + 1 - z)),
+        bits
+    );
+    return {
+        zoom,
+        centerX: view.centerX - worldSize / 2 + (Number(x) + 0.5) * zoom,
+        centerY: view.centerY - worldSize / 2 + (Number(y) + 0.5) * zoom,
+        preciseCenterX: preciseCenter(view.centerX, x),
+        preciseCenterY: preciseCenter(view.centerY, y),
+    };
+}
+
+// Squared escape radius used by the smooth coloring modes; a large radius keeps the
+// normalized iteration count free of visible steps
+const SMOOTH_BAILOUT = 256 * 256;
+
+export const COLORING_MODES = ['default', 'continuous', 'histogram', 'distance'];
+
+// Colorings that shade every sample on its own, so an image can be produced row by row
+export const ROW_COLORINGS = ['default', 'continuous'];
+
+// Normalized (fractional) iteration count of one sample, -1 inside the set
+function smoothValue({ i, zx, zy, inside }, logDegree) {
+    if (inside) return -1;
+    const logModulus = Math.log(zx * zx + zy * zy) / 2;
+    return Math.max(0, i + 1 - Math.log(Math.max(logModulus, 1e-10)) / logDegree);
+}
+
+/**
+ * Normalized (fractional) iteration count for every sample, -1 inside the set
+ *
+ * Raw iteration counts are kept in counts when it is given.
+ */
+function smoothIterations(samples, escapeSample, degree, counts) {
+    const logDegree = Math.log(degree);
+    const values = new Float32Array(samples);
+    for (let s = 0; s < samples; s++) {
+        const sample = escapeSample(s);
+        values[s] = smoothValue(sample, logDegree);
+        if (counts) counts[s] = sample.i;
+    }
+    return values;
+}
+
+// Average each pixel's aa x aa samples, into pixelData when it is given
+function averageSamples(shades, width, height, aa, pixelData) {
+    if (aa === 1 && !pixelData) return shades;
+    const sampleWidth = width * aa;
+    pixelData ??= new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let sy = 0; sy < aa; sy++) {
+                for (let sx = 0; sx < aa; sx++) {
+                    sum += shades[(y * aa + sy) * sampleWidth + x * aa + sx];
+                }
+            }
+            pixelData[y * width + x] = Math.round(sum / (aa * aa));
+        }
+    }
     return pixelData;
-} 
\ No newline at end of file
+}
+
+/**
+ * Map normalized iteration counts to 1-255 so that every shade covers roughly
+ * the same number of samples
+ */
+function equalizeHistogram(values, maxIter) {
+    const counts = new Float64Array(maxIter + 2);
+    let escaped = 0;
+    for (const value of values) {
+        if (value < 0) continue;
+        counts[Math.min(Math.floor(value), maxIter)]++;
+        escaped++;
+    }
+    const cdf = new Float64Array(maxIter + 2);
+    for (let i = 1; i < cdf.length; i++) cdf[i] = cdf[i - 1] + counts[i - 1] / Math.max(escaped, 1);
+
+    const shades = new Uint8Array(values.length);
+    for (let s = 0; s < values.length; s++) {
+        const value = values[s];
+        if (value < 0) continue;
+        const bin = Math.min(Math.floor(value), maxIter);
+        const rank = cdf[bin] + (cdf[bin + 1] - cdf[bin]) * (value - bin);
+        shades[s] = 1 + Math.floor(254 * Math.min(rank, 1));
+    }
+    return shades;
+}
+
+/**
+ * Distance-estimate shading from the gradient of the normalized iteration count
+ *
+ * The potential falls off as degree^-nu, so the distance to the set in samples is
+ * about 1 / (ln(degree) * |grad nu|). Samples right on the boundary go dark and
+ * open space goes bright, which draws crisp outlines of every filament.
+ */
+function distanceShade(values, sampleWidth, sampleHeight, degree, samplesPerPixel) {
+    const shades = new Uint8Array(values.length);
+    const at = (x, y) => values[Math.min(Math.max(y, 0), sampleHeight - 1) * sampleWidth + Math.min(Math.max(x, 0), sampleWidth - 1)];
+    for (let y = 0; y < sampleHeight; y++) {
+        for (let x = 0; x < sampleWidth; x++) {
+            const value = values[y * sampleWidth + x];
+            if (value < 0) continue;
+            const neighbours = [at(x - 1, y), at(x + 1, y), at(x, y - 1), at(x, y + 1)];
+            if (neighbours.some(n => n < 0)) {
+                // Touching the set
+                shades[y * sampleWidth + x] = 1;
+                continue;
+            }
+            const gx = (neighbours[1] - neighbours[0]) / 2;
+            const gy = (neighbours[3] - neighbours[2]) / 2;
+            const gradient = Math.sqrt(gx * gx + gy * gy) * samplesPerPixel;
+            const distance = gradient > 0 ? 1 / (Math.log(degree) * gradient) : Infinity;
+            shades[y * sampleWidth + x] = 1 + Math.floor(254 * Math.sqrt(Math.min(distance / 4, 1)));
+        }
+    }
+    return shades;
+}
+
+/**
+ * Escape function for an aa x aa grid of samples per pixel, indexed row by row
+ *
+ * Samples sit inside each pixel, centered on the pixel's own coordinate. Deep
+ * zooms are computed up front by perturbation, see deepZoom.js.
+ */
+function sampleEscaper(width, height, aa, maxIter, fractalType, viewport, params) {
+    const fractal = FRACTALS[fractalType] || FRACTALS.mandelbrot;
+    const { zoom, centerX, centerY } = viewport;
+    const sampleWidth = width * aa;
+    const sampleHeight = height * aa;
+    const columnOffsets = Float64Array.from({ length: sampleWidth }, (_, x) => (((x + 0.5) / aa - 0.5) - width / 2) * zoom / width);
+    const rowOffsets = Float64Array.from({ length: sampleHeight }, (_, y) => (((y + 0.5) / aa - 0.5) - height / 2) * zoom / height);
+    const orbit = {};
+
+    const escapeAt = (column, row) => {
+        const i = fractal.escape(columnOffsets[column] + centerX, rowOffsets[row] + centerY, maxIter, params, orbit);
+        return { i, zx: orbit.zx, zy: orbit.zy, inside: i === maxIter, orbit };
+    };
+
+    if (!isDeepZoom(fractalType, viewport)) {
+        return (s) => escapeAt(s % sampleWidth, Math.floor(s / sampleWidth));
+    }
+
+    const escapes = perturbedEscapes(fractalType, viewport, columnOffsets, rowOffsets, maxIter, params.bailout ?? 4, escapeAt);
+    return (s) => {
+        const i = escapes.iterations[s];
+        const zx = escapes.zx[s];
+        const zy = escapes.zy[s];
+        return { i, zx, zy, inside: i === maxIter, orbit: { zx, zy } };
+    };
+}
+
+/**
+ * Render a fractal to 0-255 values, one per pixel
+ *
+ * options.coloring picks how iteration counts become shades:
+ * - default: 255 * sqrt(i / maxIter), the original banded gradient
+ * - continuous: Normalized iteration count, smooth gradients without bands
+ * - histogram: Histogram-equalized, spreads the shades evenly over the image
+ * - distance: Distance-estimate edge shading, dark outlines on the set boundary
+ * Fractals with their own shading (newton) ignore the coloring mode.
+ *
+ * options.aa renders aa x aa samples per pixel (1-3) and averages them.
+ *
+ * options.iterations, a Uint32Array with one entry per pixel, receives the escape
+ * counts behind the image from the same pass: each pixel's count, or the rounded
+ * mean of its samples' counts with aa above 1.
+ */
+export function generateFractal(width, height, maxIter, seed, fractalType, viewport = resolveViewport(seed, fractalType), options = {}) {
+    const fractal = FRACTALS[fractalType] || FRACTALS.mandelbrot;
+    const coloring = fractal.shade ? 'default' : options.coloring || 'default';
+    if (ROW_COLORINGS.includes(coloring)) {
+        const pixelData = new Uint8Array(width * height);
+        let y = 0;
+        for (const row of generateFractalRows(width, height, maxIter, seed, fractalType, viewport, options)) {
+            pixelData.set(row, y++ * width);
+        }
+        return pixelData;
+    }
+
+    // Histogram and distance shading need every sample before any can be shaded
+    const aa = Math.min(Math.max(Math.floor(options.aa) || 1, 1), 3);
+    const degree = fractal.power !== undefined ? viewport.power : 2;
+    const sampleWidth = width * aa;
+    const sampleHeight = height * aa;
+    const escapeSample = sampleEscaper(width, height, aa, maxIter, fractalType, viewport, { ...viewport, bailout: SMOOTH_BAILOUT });
+    const counts = options.iterations ? new Uint32Array(sampleWidth * sampleHeight) : null;
+    const values = smoothIterations(sampleWidth * sampleHeight, escapeSample, degree, counts);
+    if (counts) averageSamples(counts, width, height, aa, options.iterations);
+    const shades = coloring === 'histogram'
+        ? equalizeHistogram(values, maxIter)
+        : distanceShade(values, sampleWidth, sampleHeight, degree, aa);
+    return averageSamples(shades, width, height, aa);
+}
+
+/**
+ * Render a fractal one row of 0-255 values at a time, top to bottom
+ *
+ * Takes the same arguments and gives the same pixels as generateFractal. With a
+ * coloring from ROW_COLORINGS only one row of samples is held at a time, so large
+ * images can be encoded and sent while they render; other colorings render the
+ * whole image first and then hand out its rows.
+ */
+export function* generateFractalRows(width, height, maxIter, seed, fractalType, viewport = resolveViewport(seed, fractalType), options = {}) {
+    const fractal = FRACTALS[fractalType] || FRACTALS.mandelbrot;
+    const coloring = fractal.shade ? 'default' : options.coloring || 'default';
+    if (!ROW_COLORINGS.includes(coloring)) {
+        const pixelData = generateFractal(width, height, maxIter, seed, fractalType, viewport, options);
+        for (let y = 0; y < height; y++) {
+            yield pixelData.subarray(y * width, (y + 1) * width);
+        }
+        return;
+    }
+
+    const aa = Math.min(Math.max(Math.floor(options.aa) || 1, 1), 3);
+    const shade = fractal.shade || escapeShade;
+    const params = coloring === 'default' ? viewport : { ...viewport, bailout: SMOOTH_BAILOUT };
+    const logDegree = Math.log(fractal.power !== undefined ? viewport.power : 2);
+    const rowSamples = width * aa * aa;
+    const escapeSample = sampleEscaper(width, height, aa, maxIter, fractalType, viewport, params);
+    const counts = options.iterations ? new Uint32Array(rowSamples) : null;
+
+    for (let y = 0; y < height; y++) {
+        const shades = new Uint8Array(rowSamples);
+        for (let s = 0; s < rowSamples; s++) {
+            const sample = escapeSample(y * rowSamples + s);
+            if (counts) counts[s] = sample.i;
+            if (coloring === 'default') {
+                shades[s] = shade(sample.i, maxIter, sample.orbit);
+                continue;
+            }
+            // Rounded to float32 like the values behind the image-wide colorings
+            const value = Math.fround(smoothValue(sample, logDegree));
+            if (value >= 0) shades[s] = 1 + Math.floor(254 * Math.sqrt(Math.min(value / maxIter, 1)));
+        }
+        if (counts) averageSamples(counts, width, 1, aa, options.iterations.subarray(y * width, (y + 1) * width));
+        yield averageSamples(shades, width, 1, aa);
+    }
+}
@@ -1,11 +1,16 @@
-export function createMinimalBMP(width, height, pixelData) {
-    const rowSize = Math.floor((width * 8 + 31) / 32) * 4;
+// File header, DIB header and color palette, followed by rows of rowSize bytes
+function createHeader(width, height, palette, bitDepth) {
+    // BMP has no 2-bit format, so 2-bit images are stored as 4-bit with a 4-entry palette
+    const bits = bitDepth === 2 ? 4 : bitDepth;
+    const levels = 1 << bitDepth;
+    const colors = 1 << bits;
+    const rowSize = Math.floor((width * bits + 31) / 32) * 4;
     const imageSize = rowSize * height;
-    const paletteSize = 256 * 4;
+    const paletteSize = colors * 4;
     const headerSize = 54;
     const fileSize = headerSize + paletteSize + imageSize;
 
-    const buffer = new ArrayBuffer(fileSize);
+    const buffer = new ArrayBuffer(headerSize + paletteSize);
     const view = new DataView(buffer);
 
     // BMP Header
@@ -19,33 +24,80 @@ export function createMinimalBMP(width, height, pixelData) {
     view.setInt32(18, width, true);
     view.setInt32(22, -height, true);
     view.setUint16(26, 1, true);
-    view.setUint16(28, 8, true);
+    view.setUint16(28, bits, true);
     view.setUint32(30, 0, true);
     view.setUint32(34, imageSize, true);
     view.setInt32(38, 2835, true);
     view.setInt32(42, 2835, true);
-    view.setUint32(46, 256, true);
-    view.setUint32(50, 256, true);
+    view.setUint32(46, colors, true);
+    view.setUint32(50, colors, true);
 
-    // Grayscale color palette
-    for (let i = 0; i < 256; i++) {
+    // Color palette (BGRA), evenly spaced grays unless an RGB lookup table is supplied
+    for (let i = 0; i < levels; i++) {
         const offset = headerSize + i * 4;
-        view.setUint8(offset, i);
-        view.setUint8(offset + 1, i);
-        view.setUint8(offset + 2, i);
+        const gray = Math.round((i * 255) / (levels - 1));
+        view.setUint8(offset, palette ? palette[i * 3 + 2] : gray);
+        view.setUint8(offset + 1, palette ? palette[i * 3 + 1] : gray);
+        view.setUint8(offset + 2, palette ? palette[i * 3] : gray);
         view.setUint8(offset + 3, 0);
     }
 
-    // Pixel data
-    const dataOffset = headerSize + paletteSize;
+    return { header: new Uint8Array(buffer), bits, rowSize, fileSize };
+}
+
+export function createMinimalBMP(width, height, pixelData, palette, bitDepth = 8) {
+    const { header, bits, rowSize, fileSize } = createHeader(width, height, palette, bitDepth);
+    const bytes = new Uint8Array(fileSize);
+    bytes.set(header, 0);
+
+    // Pixel data, packed most significant bits first below 8 bits per pixel
+    const dataOffset = header.length;
     for (let y = 0; y < height; y++) {
+        const rowOffset = dataOffset + y * rowSize;
         for (let x = 0; x < width; x++) {
-            view.setUint8(dataOffset + y * rowSize + x, pixelData[y * width + x]);
-        }
-        for (let x = width; x < rowSize; x++) {
-            view.setUint8(dataOffset + y * rowSize + x, 0);
+            const value = pixelData[y * width + x];
+            if (bits === 8) {
+                bytes[rowOffset + x] = value;
+            } else {
+                const bit = x * bits;
+                bytes[rowOffset + (bit >> 3)] |= value << (8 - bits - (bit & 7));
+            }
         }
     }
 
-    return new Uint8Array(buffer);
-} 
\ No newline at end of file
+    return bytes;
+}
+
+/**
+ * 8-bit BMP as a stream, written as the rows arrive
+ *
+ * Gives the same bytes as createMinimalBMP, but only ever holds one row.
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Iterator<Uint8Array>} rows - One 0-255 value per pixel for every row, top to bottom
+ * @param {Uint8Array} palette - Optional 768-byte RGB lookup table
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function streamBMP(width, height, rows, palette) {
+    const { header, rowSize } = createHeader(width, height, palette, 8);
+    let started = false;
+    return new ReadableStream({
+        pull(controller) {
+            if (!started) {
+                started = true;
+                controller.enqueue(header);
+                return;
+            }
+            const { value, done } = rows.next();
+            if (done) {
+                controller.close();
+                return;
+            }
+            // Rows are padded to a multiple of 4 bytes
+            const row = new Uint8Array(rowSize);
+            row.set(value);
+            controller.enqueue(row);
+        }
+    }, { highWaterMark: 0 });
+}
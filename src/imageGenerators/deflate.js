@@ -0,0 +1,415 @@
+/**
+ * DEFLATE compression (RFC 1951) wrapped in a zlib stream (RFC 1950)
+ *
+ * Used by the PNG encoder for its IDAT data. Repeated byte runs are found with
+ * a hash-chained LZ77 matcher, then every block is written with whichever of
+ * stored, fixed Huffman or dynamic Huffman coding comes out smallest.
+ *
+ * Options:
+ * - level: 0 writes stored (uncompressed) blocks only; 1-9 trade speed for
+ *          ratio by changing how many match candidates are searched (default: 6)
+ */
+
+const WINDOW_SIZE = 32768;
+const WINDOW_MASK = WINDOW_SIZE - 1;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const HASH_SIZE = 1 << 15;
+const MAX_STORED = 65535;
+const SYMBOLS_PER_BLOCK = 16384;
+const END_OF_BLOCK = 256;
+
+// Match candidates searched per position, indexed by compression level
+const CHAIN_LIMITS = [0, 4, 8, 16, 32, 64, 128, 256, 1024, 4096];
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+    1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Reverse lookups from match length / distance to their code index
+const LENGTH_CODE = new Uint8Array(MAX_MATCH + 1);
+for (let code = 0; code < LENGTH_BASE.length; code++) {
+    const end = code + 1 < LENGTH_BASE.length ? LENGTH_BASE[code + 1] : MAX_MATCH + 1;
+    for (let length = LENGTH_BASE[code]; length < end; length++) LENGTH_CODE[length] = code;
+}
+LENGTH_CODE[MAX_MATCH] = 28;
+
+const DIST_CODE = new Uint8Array(WINDOW_SIZE + 1);
+for (let code = 0; code < DIST_BASE.length; code++) {
+    const end = code + 1 < DIST_BASE.length ? DIST_BASE[code + 1] : WINDOW_SIZE + 1;
+    for (let distance = DIST_BASE[code]; distance < end; distance++) DIST_CODE[distance] = code;
+}
+
+// Code lengths of the fixed Huffman tables (RFC 1951 section 3.2.6)
+const FIXED_LITERAL_LENGTHS = new Uint8Array(288).map((_, i) => (i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8));
+const FIXED_DISTANCE_LENGTHS = new Uint8Array(30).fill(5);
+
+export function adler32(buf, start = 1) {
+    let a = start & 0xffff;
+    let b = (start >>> 16) & 0xffff;
+    for (let i = 0; i < buf.length; ) {
+        // 5552 is the largest run that cannot overflow before the modulo
+        const end = Math.min(i + 5552, buf.length);
+        for (; i < end; i++) {
+            a += buf[i];
+            b += a;
+        }
+        a %= 65521;
+        b %= 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+function createBitWriter(initialSize) {
+    let bytes = new Uint8Array(Math.max(initialSize, 1024));
+    let length = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const ensure = (extra) => {
+        if (length + extra <= bytes.length) return;
+        const grown = new Uint8Array(Math.max(bytes.length * 2, length + extra));
+        grown.set(bytes.subarray(0, length));
+        bytes = grown;
+    };
+
+    return {
+        writeBits(value, count) {
+            bitBuffer |= value << bitCount;
+            bitCount += count;
+            while (bitCount >= 8) {
+                ensure(1);
+                bytes[length++] = bitBuffer & 0xff;
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        },
+        alignToByte() {
+            if (bitCount > 0) {
+                ensure(1);
+                bytes[length++] = bitBuffer & 0xff;
+            }
+            bitBuffer = 0;
+            bitCount = 0;
+        },
+        writeBytes(data) {
+            ensure(data.length);
+            bytes.set(data, length);
+            length += data.length;
+        },
+        finish() {
+            return bytes.slice(0, length);
+        },
+    };
+}
+
+/**
+ * Length-limited Huffman code lengths using the package-merge algorithm
+ */
+function buildCodeLengths(freqs, maxBits) {
+    const lengths = new Uint8Array(freqs.length);
+    const leaves = [];
+    for (let i = 0; i < freqs.length; i++) {
+        if (freqs[i] > 0) leaves.push({ weight: freqs[i], symbol: i });
+    }
+
+    // Decoders expect at least two codes, so pad tiny alphabets with an unused symbol
+    if (leaves.length < 2) {
+        const used = leaves.length ? leaves[0].symbol : 0;
+        lengths[used] = 1;
+        lengths[used === 0 ? 1 : 0] = 1;
+        return lengths;
+    }
+
+    leaves.sort((a, b) => a.weight - b.weight || a.symbol - b.symbol);
+
+    let list = leaves;
+    for (let bit = 1; bit < maxBits; bit++) {
+        const packages = [];
+        for (let i = 0; i + 1 < list.length; i += 2) {
+            packages.push({ weight: list[i].weight + list[i + 1].weight, children: [list[i], list[i + 1]] });
+        }
+        const merged = [];
+        let l = 0;
+        let p = 0;
+        while (l < leaves.length || p < packages.length) {
+            if (p >= packages.length || (l < leaves.length && leaves[l].weight <= packages[p].weight)) {
+                merged.push(leaves[l++]);
+            } else {
+                merged.push(packages[p++]);
+            }
+        }
+        list = merged;
+    }
+
+    const stack = list.slice(0, 2 * leaves.length - 2);
+    while (stack.length) {
+        const item = stack.pop();
+        if (item.children) {
+            stack.push(item.children[0], item.children[1]);
+        } else {
+            lengths[item.symbol]++;
+        }
+    }
+    return lengths;
+}
+
+/**
+ * Canonical Huffman codes, bit-reversed so they can be written LSB first
+ */
+function buildCodes(lengths) {
+    const counts = new Uint16Array(16);
+    for (const length of lengths) if (length) counts[length]++;
+
+    const nextCode = new Uint16Array(16);
+    let code = 0;
+    for (let bits = 1; bits < 16; bits++) {
+        code = (code + counts[bits - 1]) << 1;
+        nextCode[bits] = code;
+    }
+
+    const codes = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        const length = lengths[i];
+        if (!length) continue;
+        let value = nextCode[length]++;
+        let reversed = 0;
+        for (let b = 0; b < length; b++) {
+            reversed = (reversed << 1) | (value & 1);
+            value >>= 1;
+        }
+        codes[i] = reversed;
+    }
+    return codes;
+}
+
+const FIXED_LITERAL_CODES = buildCodes(FIXED_LITERAL_LENGTHS);
+const FIXED_DISTANCE_CODES = buildCodes(FIXED_DISTANCE_LENGTHS);
+
+/**
+ * Run-length encode code lengths with the 16/17/18 repeat symbols
+ */
+function encodeCodeLengths(lengths) {
+    const out = [];
+    for (let i = 0; i < lengths.length; ) {
+        const value = lengths[i];
+        let run = 1;
+        while (i + run < lengths.length && lengths[i + run] === value) run++;
+
+        if (value === 0 && run >= 3) {
+            const count = Math.min(run, 138);
+            out.push(count >= 11 ? [18, count - 11, 7] : [17, count - 3, 3]);
+            i += count;
+        } else if (value !== 0 && run >= 4) {
+            const count = Math.min(run - 1, 6);
+            out.push([value, 0, 0], [16, count - 3, 2]);
+            i += 1 + count;
+        } else {
+            out.push([value, 0, 0]);
+            i++;
+        }
+    }
+    return out;
+}
+
+function dataCost(literalFreqs, distanceFreqs, literalLengths, distanceLengths) {
+    let bits = 0;
+    for (let i = 0; i < literalFreqs.length; i++) {
+        if (!literalFreqs[i]) continue;
+        bits += literalFreqs[i] * literalLengths[i];
+        if (i > END_OF_BLOCK) bits += literalFreqs[i] * LENGTH_EXTRA[i - 257];
+    }
+    for (let i = 0; i < distanceFreqs.length; i++) {
+        bits += distanceFreqs[i] * (distanceLengths[i] + DIST_EXTRA[i]);
+    }
+    return bits;
+}
+
+function writeStoredBlocks(writer, data, isLast) {
+    let offset = 0;
+    do {
+        const size = Math.min(MAX_STORED, data.length - offset);
+        const final = isLast && offset + size >= data.length;
+        writer.writeBits(final ? 1 : 0, 1);
+        writer.writeBits(0, 2);
+        writer.alignToByte();
+        writer.writeBytes([size & 0xff, size >> 8, ~size & 0xff, (~size >> 8) & 0xff]);
+        writer.writeBytes(data.subarray(offset, offset + size));
+        offset += size;
+    } while (offset < data.length);
+}
+
+function writeSymbols(writer, block, literalCodes, literalLengths, distanceCodes, distanceLengths) {
+    const { literals, distances, count } = block;
+    for (let i = 0; i < count; i++) {
+        const distance = distances[i];
+        if (!distance) {
+            writer.writeBits(literalCodes[literals[i]], literalLengths[literals[i]]);
+            continue;
+        }
+        const length = literals[i];
+        const lengthCode = LENGTH_CODE[length];
+        writer.writeBits(literalCodes[257 + lengthCode], literalLengths[257 + lengthCode]);
+        if (LENGTH_EXTRA[lengthCode]) writer.writeBits(length - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+        const distanceCode = DIST_CODE[distance];
+        writer.writeBits(distanceCodes[distanceCode], distanceLengths[distanceCode]);
+        if (DIST_EXTRA[distanceCode]) writer.writeBits(distance - DIST_BASE[distanceCode], DIST_EXTRA[distanceCode]);
+    }
+    writer.writeBits(literalCodes[END_OF_BLOCK], literalLengths[END_OF_BLOCK]);
+}
+
+function writeBlock(writer, data, block, isLast) {
+    const literalFreqs = new Uint32Array(286);
+    const distanceFreqs = new Uint32Array(30);
+    for (let i = 0; i < block.count; i++) {
+        if (block.distances[i]) {
+            literalFreqs[257 + LENGTH_CODE[block.literals[i]]]++;
+            distanceFreqs[DIST_CODE[block.distances[i]]]++;
+        } else {
+            literalFreqs[block.literals[i]]++;
+        }
+    }
+    literalFreqs[END_OF_BLOCK] = 1;
+
+    // Dynamic Huffman: tables plus their run-length encoded header
+    const literalLengths = buildCodeLengths(literalFreqs, 15);
+    const distanceLengths = buildCodeLengths(distanceFreqs, 15);
+    let literalCount = 286;
+    while (literalCount > 257 && !literalLengths[literalCount - 1]) literalCount--;
+    let distanceCount = 30;
+    while (distanceCount > 1 && !distanceLengths[distanceCount - 1]) distanceCount--;
+
+    const runs = encodeCodeLengths([...literalLengths.subarray(0, literalCount), ...distanceLengths.subarray(0, distanceCount)]);
+    const codeLengthFreqs = new Uint32Array(19);
+    for (const [symbol] of runs) codeLengthFreqs[symbol]++;
+    const codeLengthLengths = buildCodeLengths(codeLengthFreqs, 7);
+    let codeLengthCount = 19;
+    while (codeLengthCount > 4 && !codeLengthLengths[CODE_LENGTH_ORDER[codeLengthCount - 1]]) codeLengthCount--;
+
+    let dynamicBits = 3 + 14 + codeLengthCount * 3 + dataCost(literalFreqs, distanceFreqs, literalLengths, distanceLengths);
+    for (const [symbol, , extraBits] of runs) dynamicBits += codeLengthLengths[symbol] + extraBits;
+
+    const fixedBits = 3 + dataCost(literalFreqs, distanceFreqs, FIXED_LITERAL_LENGTHS, FIXED_DISTANCE_LENGTHS);
+    const storedSize = block.end - block.start;
+    const storedBits = storedSize * 8 + Math.max(1, Math.ceil(storedSize / MAX_STORED)) * 40;
+
+    if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+        writeStoredBlocks(writer, data.subarray(block.start, block.end), isLast);
+    } else if (fixedBits <= dynamicBits) {
+        writer.writeBits(isLast ? 1 : 0, 1);
+        writer.writeBits(1, 2);
+        writeSymbols(writer, block, FIXED_LITERAL_CODES, FIXED_LITERAL_LENGTHS, FIXED_DISTANCE_CODES, FIXED_DISTANCE_LENGTHS);
+    } else {
+        writer.writeBits(isLast ? 1 : 0, 1);
+        writer.writeBits(2, 2);
+        writer.writeBits(literalCount - 257, 5);
+        writer.writeBits(distanceCount - 1, 5);
+        writer.writeBits(codeLengthCount - 4, 4);
+        for (let i = 0; i < codeLengthCount; i++) writer.writeBits(codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+        const codeLengthCodes = buildCodes(codeLengthLengths);
+        for (const [symbol, extra, extraBits] of runs) {
+            writer.writeBits(codeLengthCodes[symbol], codeLengthLengths[symbol]);
+            if (extraBits) writer.writeBits(extra, extraBits);
+        }
+        writeSymbols(writer, block, buildCodes(literalLengths), literalLengths, buildCodes(distanceLengths), distanceLengths);
+    }
+}
+
+/**
+ * Raw DEFLATE stream for the given bytes
+ */
+export function deflate(data, { level = 6 } = {}) {
+    const writer = createBitWriter(data.length >> 1);
+
+    if (level <= 0 || data.length === 0) {
+        writeStoredBlocks(writer, data, true);
+        return writer.finish();
+    }
+
+    const chainLimit = CHAIN_LIMITS[Math.min(level, 9)];
+    const head = new Int32Array(HASH_SIZE).fill(-1);
+    const prev = new Int32Array(WINDOW_SIZE);
+    const hashAt = (pos) => ((data[pos] << 10) ^ (data[pos + 1] << 5) ^ data[pos + 2]) & (HASH_SIZE - 1);
+    const insert = (pos) => {
+        if (pos + MIN_MATCH > data.length) return;
+        const hash = hashAt(pos);
+        prev[pos & WINDOW_MASK] = head[hash];
+        head[hash] = pos;
+    };
+
+    const block = {
+        literals: new Uint16Array(SYMBOLS_PER_BLOCK),
+        distances: new Uint16Array(SYMBOLS_PER_BLOCK),
+        count: 0,
+        start: 0,
+        end: 0,
+    };
+
+    let pos = 0;
+    while (pos < data.length) {
+        let bestLength = 0;
+        let bestDistance = 0;
+
+        if (pos + MIN_MATCH <= data.length) {
+            const maxLength = Math.min(MAX_MATCH, data.length - pos);
+            let candidate = head[hashAt(pos)];
+            let chain = chainLimit;
+            while (candidate >= 0 && pos - candidate <= WINDOW_SIZE && chain-- > 0) {
+                if (data[candidate + bestLength] === data[pos + bestLength]) {
+                    let length = 0;
+                    while (length < maxLength && data[candidate + length] === data[pos + length]) length++;
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestDistance = pos - candidate;
+                        if (length === maxLength) break;
+                    }
+                }
+                candidate = prev[candidate & WINDOW_MASK];
+            }
+        }
+
+        if (bestLength >= MIN_MATCH) {
+            block.literals[block.count] = bestLength;
+            block.distances[block.count++] = bestDistance;
+            for (let i = 0; i < bestLength; i++) insert(pos + i);
+            pos += bestLength;
+        } else {
+            block.literals[block.count] = data[pos];
+            block.distances[block.count++] = 0;
+            insert(pos);
+            pos++;
+        }
+
+        if (block.count === SYMBOLS_PER_BLOCK || pos >= data.length) {
+            block.end = pos;
+            writeBlock(writer, data, block, pos >= data.length);
+            block.count = 0;
+            block.start = pos;
+        }
+    }
+
+    writer.alignToByte();
+    return writer.finish();
+}
+
+/**
+ * zlib stream (2-byte header, DEFLATE data, Adler-32 trailer) for the given bytes
+ */
+export function zlibCompress(data, options = {}) {
+    const compressed = deflate(data, options);
+    const checksum = adler32(data);
+    const out = new Uint8Array(compressed.length + 6);
+    out[0] = 0x78;
+    out[1] = options.level === 0 ? 0x01 : 0x9c;
+    out.set(compressed, 2);
+    out[out.length - 4] = checksum >>> 24;
+    out[out.length - 3] = (checksum >>> 16) & 0xff;
+    out[out.length - 2] = (checksum >>> 8) & 0xff;
+    out[out.length - 1] = checksum & 0xff;
+    return out;
+}
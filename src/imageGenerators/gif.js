@@ -0,0 +1,129 @@
+/**
+ * Animated GIF (GIF89a) encoder
+ *
+ * Frames are 8-bit indexed pixel arrays sharing one global color table, each
+ * compressed with variable-width LZW as the GIF format requires.
+ *
+ * Options:
+ * - palette: 768-byte RGB lookup table (default: grayscale)
+ * - delay: Frame delay in milliseconds, stored in 10ms steps (default: 100)
+ * - loop: Number of times to repeat, 0 loops forever (default: 0)
+ */
+
+const MAX_CODE = 4095;
+
+/**
+ * LZW-compress 8-bit indices into GIF image data sub-blocks
+ */
+function lzwEncode(pixels) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let block = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const writeCode = (code, size) => {
+        bitBuffer |= code << bitCount;
+        bitCount += size;
+        while (bitCount >= 8) {
+            block.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                out.push(255, ...block);
+                block = [];
+            }
+        }
+    };
+
+    // Dictionary of (prefix code, next index) pairs, keyed as prefix * 256 + index
+    const dictionary = new Map();
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+
+    writeCode(clearCode, codeSize);
+    let prefix = pixels[0];
+    for (let i = 1; i < pixels.length; i++) {
+        const index = pixels[i];
+        const key = prefix * 256 + index;
+        const existing = dictionary.get(key);
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+
+        writeCode(prefix, codeSize);
+        if (nextCode > MAX_CODE) {
+            // Table is full, start over
+            writeCode(clearCode, codeSize);
+            dictionary.clear();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            dictionary.set(key, nextCode);
+            if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+            nextCode++;
+        }
+        prefix = index;
+    }
+    writeCode(prefix, codeSize);
+    writeCode(endCode, codeSize);
+
+    if (bitCount > 0) block.push(bitBuffer & 0xff);
+    if (block.length) out.push(block.length, ...block);
+    out.push(0); // Block terminator
+
+    return { minCodeSize, data: out };
+}
+
+export function createAnimatedGIF(width, height, frames, { palette, delay = 100, loop = 0 } = {}) {
+    const bytes = [];
+    const writeUint16 = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+    const writeString = (text) => bytes.push(...[...text].map(c => c.charCodeAt(0)));
+
+    // Header and logical screen descriptor with a 256-entry global color table
+    writeString('GIF89a');
+    writeUint16(width);
+    writeUint16(height);
+    bytes.push(0xF7, 0, 0);
+
+    for (let i = 0; i < 256; i++) {
+        if (palette) {
+            bytes.push(palette[i * 3], palette[i * 3 + 1], palette[i * 3 + 2]);
+        } else {
+            bytes.push(i, i, i);
+        }
+    }
+
+    // NETSCAPE2.0 application extension for the loop count
+    bytes.push(0x21, 0xFF, 11);
+    writeString('NETSCAPE2.0');
+    bytes.push(3, 1);
+    writeUint16(loop);
+    bytes.push(0);
+
+    const delayCentiseconds = Math.max(2, Math.round(delay / 10));
+    for (const frame of frames) {
+        // Graphic control extension: frame delay, no transparency
+        bytes.push(0x21, 0xF9, 4, 0x04);
+        writeUint16(delayCentiseconds);
+        bytes.push(0, 0);
+
+        // Image descriptor covering the whole screen, no local color table
+        bytes.push(0x2C);
+        writeUint16(0);
+        writeUint16(0);
+        writeUint16(width);
+        writeUint16(height);
+        bytes.push(0);
+
+        const { minCodeSize, data } = lzwEncode(frame);
+        bytes.push(minCodeSize);
+        for (const byte of data) bytes.push(byte);
+    }
+
+    bytes.push(0x3B); // Trailer
+    return new Uint8Array(bytes);
+}
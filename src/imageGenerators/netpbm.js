@@ -0,0 +1,37 @@
+/**
+ * Binary Netpbm encoders: PGM (P5) grayscale and PPM (P6) color
+ *
+ * Both formats are a short ASCII header followed by raw samples, which makes
+ * them easy to read from scripts and small embedded displays.
+ *
+ * PGM keeps the gray level of every pixel and ignores the palette. Below 8 bits
+ * the maximum value is 2^bitDepth - 1, so dithered levels are written as is.
+ * PPM expands every pixel through the palette, or evenly spaced grays without one.
+ */
+
+function withHeader(header, samples) {
+    const head = new TextEncoder().encode(header);
+    const bytes = new Uint8Array(head.length + samples.length);
+    bytes.set(head, 0);
+    bytes.set(samples, head.length);
+    return bytes;
+}
+
+export function createPGM(width, height, pixelData, palette, bitDepth = 8) {
+    const maxValue = (1 << bitDepth) - 1;
+    return withHeader(`P5\n${width} ${height}\n${maxValue}\n`, pixelData.subarray(0, width * height));
+}
+
+export function createPPM(width, height, pixelData, palette, bitDepth = 8) {
+    const levels = 1 << bitDepth;
+    const samples = new Uint8Array(width * height * 3);
+    for (let p = 0; p < width * height; p++) {
+        const index = pixelData[p];
+        if (palette) {
+            samples.set(palette.subarray(index * 3, index * 3 + 3), p * 3);
+        } else {
+            samples.fill(Math.round((index * 255) / (levels - 1)), p * 3, p * 3 + 3);
+        }
+    }
+    return withHeader(`P6\n${width} ${height}\n255\n`, samples);
+}
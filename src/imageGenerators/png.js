@@ -1,83 +1,194 @@
-export function createMinimalPNG(width, height, pixelData) {
-    const crc32 = (buf) => {
-        const table = new Uint32Array(256).map((_, i) => {
-            let c = i;
-            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
-            return c;
-        });
-        let crc = ~0;
-        for (const byte of buf) crc = table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
-        return ~crc >>> 0;
-    };
-
-    const adler32 = (buf) => {
-        let a = 1, b = 0;
-        for (const byte of buf) {
-            a = (a + byte) % 65521;
-            b = (b + a) % 65521;
+import { zlibCompress, adler32 } from './deflate';
+
+const CRC_TABLE = new Uint32Array(256).map((_, i) => {
+    let c = i;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+const crc32 = (buf) => {
+    let crc = ~0;
+    for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return ~crc >>> 0;
+};
+
+const toBigEndian = (num) => {
+    const arr = new Uint8Array(4);
+    arr[0] = (num >> 24) & 0xff;
+    arr[1] = (num >> 16) & 0xff;
+    arr[2] = (num >> 8) & 0xff;
+    arr[3] = num & 0xff;
+    return arr;
+};
+
+// Length, type, data and CRC (over type and data) of a single PNG chunk
+const createChunk = (type, data) => {
+    const chunk = new Uint8Array(data.length + 12);
+    chunk.set(toBigEndian(data.length), 0);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    chunk.set(toBigEndian(crc32(chunk.subarray(4, data.length + 8))), data.length + 8);
+    return chunk;
+};
+
+const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+};
+
+/**
+ * Prefix every row with the filter (None, Sub, Up, Average or Paeth) that gives
+ * the smallest sum of absolute differences, the usual heuristic for picking the
+ * most compressible row.
+ */
+function filterScanlines(rowBytes, height, pixelData, bytesPerPixel) {
+    const scanlines = new Uint8Array((rowBytes + 1) * height);
+    const candidate = new Uint8Array(rowBytes);
+    const best = new Uint8Array(rowBytes);
+    const emptyRow = new Uint8Array(rowBytes);
+
+    for (let y = 0; y < height; y++) {
+        const row = pixelData.subarray(y * rowBytes, (y + 1) * rowBytes);
+        const above = y > 0 ? pixelData.subarray((y - 1) * rowBytes, y * rowBytes) : emptyRow;
+        let bestFilter = 0;
+        let bestScore = Infinity;
+
+        for (let filter = 0; filter < 5; filter++) {
+            let score = 0;
+            for (let x = 0; x < rowBytes; x++) {
+                const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+                const upLeft = x >= bytesPerPixel ? above[x - bytesPerPixel] : 0;
+                let predictor = 0;
+                switch (filter) {
+                    case 1: predictor = left; break;
+                    case 2: predictor = above[x]; break;
+                    case 3: predictor = (left + above[x]) >> 1; break;
+                    case 4: predictor = paeth(left, above[x], upLeft); break;
+                }
+                const value = (row[x] - predictor) & 0xFF;
+                candidate[x] = value;
+                score += value < 128 ? value : 256 - value;
+            }
+            if (score < bestScore) {
+                bestScore = score;
+                bestFilter = filter;
+                best.set(candidate);
+            }
         }
-        return (b << 16) | a;
-    };
-
-    const toBigEndian = (num) => {
-        const arr = new Uint8Array(4);
-        arr[0] = (num >> 24) & 0xff;
-        arr[1] = (num >> 16) & 0xff;
-        arr[2] = (num >> 8) & 0xff;
-        arr[3] = num & 0xff;
-        return arr;
-    };
-
-    const signature = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
-    const header = new Uint8Array([
-        ...toBigEndian(13), // Chunk length
-        ...[73, 72, 68, 82], // 'IHDR'
+
+        scanlines[y * (rowBytes + 1)] = bestFilter;
+        scanlines.set(best, y * (rowBytes + 1) + 1);
+    }
+
+    return scanlines;
+}
+
+// Pack one value per pixel into rows of bitDepth-bit samples, most significant bits first
+function packRows(width, height, pixelData, bitDepth) {
+    if (bitDepth === 8) return pixelData;
+    const rowBytes = Math.ceil((width * bitDepth) / 8);
+    const packed = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const bit = x * bitDepth;
+            packed[y * rowBytes + (bit >> 3)] |= pixelData[y * width + x] << (8 - bitDepth - (bit & 7));
+        }
+    }
+    return packed;
+}
+
+const SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Largest stored DEFLATE block
+const MAX_STORED = 65535;
+
+// IHDR chunk, plus a PLTE chunk for indexed color
+function createHeaderChunks(width, height, palette, bitDepth) {
+    const header = createChunk('IHDR', new Uint8Array([
         ...toBigEndian(width),
         ...toBigEndian(height),
-        8, // Bit depth (8-bit)
-        0, // Color type (grayscale)
+        bitDepth, // Bit depth (1, 2, 4 or 8)
+        palette ? 3 : 0, // Color type (indexed or grayscale)
         0, // Compression
         0, // Filter
         0, // Interlace
-    ]);
-    const headerCRC = toBigEndian(crc32(header.slice(4)));
+    ]));
+    return palette ? [header, createChunk('PLTE', palette)] : [header];
+}
 
-    // PNG requires each row to be prefixed with a filter byte (0 for none)
-    const scanlines = new Uint8Array(width * height + height);
-    for (let y = 0; y < height; y++) {
-        scanlines[y * (width + 1)] = 0; // No filter
-        scanlines.set(pixelData.slice(y * width, (y + 1) * width), y * (width + 1) + 1);
+export function createMinimalPNG(width, height, pixelData, palette, bitDepth = 8) {
+    // PNG requires each row to be prefixed with a filter byte, then the rows are zlib compressed
+    const rowBytes = Math.ceil((width * bitDepth) / 8);
+    const scanlines = filterScanlines(rowBytes, height, packRows(width, height, pixelData, bitDepth), 1);
+    const dataChunk = createChunk('IDAT', zlibCompress(scanlines));
+
+    const endChunk = createChunk('IEND', new Uint8Array(0));
+
+    const parts = [SIGNATURE, ...createHeaderChunks(width, height, palette, bitDepth), dataChunk, endChunk];
+    const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        png.set(part, offset);
+        offset += part.length;
     }
+    return png;
+}
 
-    // zlib compression (uncompressed block)
-    const zlibHeader = new Uint8Array([0x78, 0x01]); // DEFLATE with no compression
-    const blockHeader = new Uint8Array([
-        0x01, // Final block flag + Type 00 (no compression)
-        scanlines.length & 0xFF,
-        (scanlines.length >> 8) & 0xFF,
-        (~scanlines.length & 0xFF),
-        (~(scanlines.length >> 8) & 0xFF),
-    ]);
-
-    const deflate = new Uint8Array([
-        ...zlibHeader,
-        ...blockHeader,
-        ...scanlines,
-        ...toBigEndian(adler32(scanlines))
-    ]);
-
-    const dataChunk = new Uint8Array([
-        ...toBigEndian(deflate.length),
-        ...[73, 68, 65, 84], // 'IDAT'
-        ...deflate,
-        ...toBigEndian(crc32(new Uint8Array([73, 68, 65, 84, ...deflate])))
-    ]);
-
-    const endChunk = new Uint8Array([
-        ...toBigEndian(0), // Length
-        ...[73, 69, 78, 68], // 'IEND'
-        ...toBigEndian(crc32(new Uint8Array([73, 69, 78, 68])))
-    ]);
-
-    return new Uint8Array([...signature, ...header, ...headerCRC, ...dataChunk, ...endChunk]);
-} 
\ No newline at end of file
+/**
+ * 8-bit PNG as a stream, written as the rows arrive
+ *
+ * Every row is sent as soon as it is rendered: unfiltered, in its own IDAT chunk,
+ * as stored (uncompressed) DEFLATE blocks. The file is about as large as a BMP,
+ * but the first bytes go out long before the image is finished.
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Iterator<Uint8Array>} rows - One 0-255 value per pixel for every row, top to bottom
+ * @param {Uint8Array} palette - Optional 768-byte RGB lookup table
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function streamPNG(width, height, rows, palette) {
+    let checksum = 1;
+    let y = -1;
+    return new ReadableStream({
+        pull(controller) {
+            if (y < 0) {
+                // zlib header for the data that the IDAT chunks carry between them
+                for (const part of [SIGNATURE, ...createHeaderChunks(width, height, palette, 8), createChunk('IDAT', new Uint8Array([0x78, 0x01]))]) {
+                    controller.enqueue(part);
+                }
+                y = 0;
+                return;
+            }
+
+            const { value, done } = rows.next();
+            if (done) {
+                controller.enqueue(createChunk('IDAT', toBigEndian(checksum)));
+                controller.enqueue(createChunk('IEND', new Uint8Array(0)));
+                controller.close();
+                return;
+            }
+
+            // Filter byte (None) and the row, split into stored blocks; the last row's final block ends the stream
+            const scanline = new Uint8Array(width + 1);
+            scanline.set(value, 1);
+            checksum = adler32(scanline, checksum);
+            const blocks = Math.max(1, Math.ceil(scanline.length / MAX_STORED));
+            const data = new Uint8Array(scanline.length + blocks * 5);
+            let offset = 0;
+            for (let start = 0; start < scanline.length; start += MAX_STORED) {
+                const size = Math.min(MAX_STORED, scanline.length - start);
+                const final = y === height - 1 && start + size >= scanline.length;
+                data.set([final ? 1 : 0, size & 0xff, size >> 8, ~size & 0xff, (~size >> 8) & 0xff], offset);
+                data.set(scanline.subarray(start, start + size), offset + 5);
+                offset += size + 5;
+            }
+            y++;
+            controller.enqueue(createChunk('IDAT', data));
+        }
+    }, { highWaterMark: 0 });
+}
@@ -0,0 +1,99 @@
+/**
+ * QOI ("Quite OK Image") encoder
+ *
+ * Writes 8-bit RGB images as a run of small chunks: repeats of the previous
+ * pixel, references into a 64-entry table of recently seen colors, small
+ * differences from the previous pixel, or a full RGB value. Indexed pixel data is
+ * expanded through the palette first, or through evenly spaced grays without one.
+ */
+
+const QOI_OP_INDEX = 0x00;
+const QOI_OP_DIFF = 0x40;
+const QOI_OP_LUMA = 0x80;
+const QOI_OP_RUN = 0xC0;
+const QOI_OP_RGB = 0xFE;
+const MAX_RUN = 62;
+const END_MARKER = [0, 0, 0, 0, 0, 0, 0, 1];
+
+export function createQOI(width, height, pixelData, palette, bitDepth = 8) {
+    const levels = 1 << bitDepth;
+    const colors = new Uint8Array(levels * 3);
+    for (let i = 0; i < levels; i++) {
+        const gray = Math.round((i * 255) / (levels - 1));
+        colors[i * 3] = palette ? palette[i * 3] : gray;
+        colors[i * 3 + 1] = palette ? palette[i * 3 + 1] : gray;
+        colors[i * 3 + 2] = palette ? palette[i * 3 + 2] : gray;
+    }
+
+    // Worst case is a full RGB chunk for every pixel
+    const bytes = new Uint8Array(14 + width * height * 4 + END_MARKER.length);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x71, 0x6F, 0x69, 0x66], 0); // "qoif"
+    view.setUint32(4, width);
+    view.setUint32(8, height);
+    bytes[12] = 3; // RGB
+    bytes[13] = 0; // sRGB with linear alpha
+
+    // Recently seen colors, empty slots never match (the decoder's start with zero alpha)
+    const seen = new Int16Array(64 * 3).fill(-1);
+    let offset = 14;
+    let run = 0;
+    let prevR = 0;
+    let prevG = 0;
+    let prevB = 0;
+    const count = width * height;
+
+    for (let p = 0; p < count; p++) {
+        const c = pixelData[p] * 3;
+        const r = colors[c];
+        const g = colors[c + 1];
+        const b = colors[c + 2];
+
+        if (p > 0 && r === prevR && g === prevG && b === prevB) {
+            run++;
+            if (run === MAX_RUN || p === count - 1) {
+                bytes[offset++] = QOI_OP_RUN | (run - 1);
+                run = 0;
+            }
+            continue;
+        }
+        if (run > 0) {
+            bytes[offset++] = QOI_OP_RUN | (run - 1);
+            run = 0;
+        }
+
+        // Alpha is always 255, which is part of the hash
+        const slot = ((r * 3 + g * 5 + b * 7 + 255 * 11) % 64) * 3;
+        if (seen[slot] === r && seen[slot + 1] === g && seen[slot + 2] === b) {
+            bytes[offset++] = QOI_OP_INDEX | (slot / 3);
+        } else {
+            seen[slot] = r;
+            seen[slot + 1] = g;
+            seen[slot + 2] = b;
+
+            // Differences wrap around like the decoder's 8-bit arithmetic
+            const dr = ((r - prevR + 128) & 0xFF) - 128;
+            const dg = ((g - prevG + 128) & 0xFF) - 128;
+            const db = ((b - prevB + 128) & 0xFF) - 128;
+            const drdg = dr - dg;
+            const dbdg = db - dg;
+            if (dr >= -2 && dr <= 1 && dg >= -2 && dg <= 1 && db >= -2 && db <= 1) {
+                bytes[offset++] = QOI_OP_DIFF | ((dr + 2) << 4) | ((dg + 2) << 2) | (db + 2);
+            } else if (dg >= -32 && dg <= 31 && drdg >= -8 && drdg <= 7 && dbdg >= -8 && dbdg <= 7) {
+                bytes[offset++] = QOI_OP_LUMA | (dg + 32);
+                bytes[offset++] = ((drdg + 8) << 4) | (dbdg + 8);
+            } else {
+                bytes[offset++] = QOI_OP_RGB;
+                bytes[offset++] = r;
+                bytes[offset++] = g;
+                bytes[offset++] = b;
+            }
+        }
+        prevR = r;
+        prevG = g;
+        prevB = b;
+    }
+
+    bytes.set(END_MARKER, offset);
+    return bytes.slice(0, offset + END_MARKER.length);
+}
@@ -0,0 +1,45 @@
+/**
+ * Uncompressed Truevision TGA encoder
+ *
+ * With a palette the image is color-mapped (type 1): 8-bit indices into a table
+ * of 24-bit BGR entries. Without one it is plain 8-bit grayscale (type 3), with
+ * levels below 8 bits spread evenly over 0-255. Rows are stored top to bottom.
+ */
+
+const HEADER_SIZE = 18;
+
+export function createTGA(width, height, pixelData, palette, bitDepth = 8) {
+    const levels = 1 << bitDepth;
+    const mapSize = palette ? levels * 3 : 0;
+    const bytes = new Uint8Array(HEADER_SIZE + mapSize + width * height);
+    const view = new DataView(bytes.buffer);
+
+    bytes[0] = 0; // No image ID
+    bytes[1] = palette ? 1 : 0; // Color map present
+    bytes[2] = palette ? 1 : 3; // Uncompressed color-mapped or grayscale
+    view.setUint16(3, 0, true); // First color map entry
+    view.setUint16(5, palette ? levels : 0, true);
+    bytes[7] = palette ? 24 : 0; // Bits per color map entry
+    view.setUint16(8, 0, true); // X origin
+    view.setUint16(10, 0, true); // Y origin
+    view.setUint16(12, width, true);
+    view.setUint16(14, height, true);
+    bytes[16] = 8; // Bits per pixel
+    bytes[17] = 0x20; // Top-left origin
+
+    if (palette) {
+        for (let i = 0; i < levels; i++) {
+            const offset = HEADER_SIZE + i * 3;
+            bytes[offset] = palette[i * 3 + 2];
+            bytes[offset + 1] = palette[i * 3 + 1];
+            bytes[offset + 2] = palette[i * 3];
+        }
+    }
+
+    const dataOffset = HEADER_SIZE + mapSize;
+    for (let p = 0; p < width * height; p++) {
+        const value = pixelData[p];
+        bytes[dataOffset + p] = palette ? value : Math.round((value * 255) / (levels - 1));
+    }
+    return bytes;
+}
@@ -1,15 +1,44 @@
 /**
  * Fractal image generation API using Cloudflare Workers
  * 
- * This worker generates grayscale fractal images (Mandelbrot and Julia sets)
+ * This worker generates fractal images (Mandelbrot, Julia and related sets)
  * with configurable parameters via URL query strings:
  * 
  * - seed: Random seed for consistent results (default: random)
- * - type: 'mandelbrot' or 'julia' (default: random)
- * - width: Image width in pixels (max 800 for BMP, 320 for PNG)
- * - height: Image height in pixels (max 600 for BMP, 200 for PNG) 
+ * - type: 'mandelbrot', 'julia', 'burningship', 'tricorn', 'multibrot', 'newton' or 'phoenix'
+ *         (default: random choice of mandelbrot or julia)
+ * - width: Image width in pixels (max 800)
+ * - height: Image height in pixels (max 600)
  * - iter: Maximum iterations for detail level (default: 50, max: 800)
  * - bmp: Use BMP format if 'true', PNG if 'false' (default: true)
+ * - format: 'bmp', 'png', 'qoi', 'pgm', 'ppm', 'tga' or 'json' (overrides bmp; without
+ *           either, the Accept header picks among their media types)
+ * - palette: Color palette name or comma separated hex stops (default: gray)
+ * - cx, cy: Center of the view in the complex plane (default: from seed)
+ * - zoom: Width of the view in the complex plane, smaller zooms in (default: from seed)
+ * - jx, jy: Julia set constant, or c and p for phoenix (default: from seed)
+ * - power: Exponent for multibrot, 1 to 10 (default: 3)
+ * - coloring: 'default', 'continuous', 'histogram' or 'distance' (default: default)
+ * - aa: Supersampling, 1, 2 or 3 samples per pixel side (default: 1)
+ * - depth: Bits per pixel, 1, 2, 4 or 8 (default: 8)
+ * - dither: 'floyd-steinberg', 'bayer' or 'none' for depths below 8 (default: floyd-steinberg)
+ * - caption: Text stamped onto the image, 'auto' for the seed and parameters
+ * - corner: Caption corner, 'bottom-right', 'bottom-left', 'top-right' or 'top-left'
+ * - contrast: Caption style, 'box', 'outline', 'light' or 'dark' (default: box)
+ * - textsize: Caption scale, 1 to 4 (default: 1)
+ * - stream: 'true' sends PNGs row by row as stored (uncompressed) blocks; 8-bit BMPs
+ *           without a caption always stream
+ * 
+ * Map tiles for zoomable viewers are served from /fractal/tiles/{type}/{z}/{x}/{y}.png
+ * and animated GIF zoom sequences from /fractal/animate. /fractal/sheet renders a
+ * contact sheet of many seeds, /fractal/avatar a stable icon for any string, and
+ * /fractal/explorer is an interactive page for zooming, panning and sharing views.
+ * 
+ * Renders with an explicit seed are deterministic and cached at the edge with
+ * strong ETags, so If-None-Match revalidation returns 304 without rendering.
+ * 
+ * /fractal/sign (API key required) mints signed, expiring /fractal URLs that lift
+ * the size and iteration caps for print-size renders.
  * 
  * Rate limiting is applied per IP address to prevent abuse.
  * 
@@ -17,21 +46,131 @@
  * - Cloudflare Workers KV namespace bound as RATE_LIMIT for rate limiting
  * - Web Crypto API (available by default in Workers runtime)
  * - Optional environment variable RATE_LIMIT_PER_IP to configure rate limit
+ * - MASTER_KEY secret for API keys and signed URLs
  * 
  * Internal modules:
  * - rateLimit.js: Rate limiting functionality
+ * - middleware/signedUrl.js: HMAC-signed, expiring URLs
  * - imageGenerators/bmp.js: BMP image format generation
  * - imageGenerators/png.js: PNG image format generation
+ * - imageGenerators/gif.js: Animated GIF generation for zoom sequences
+ * - imageGenerators/qoi.js: QOI image format generation
+ * - imageGenerators/netpbm.js: Binary PGM and PPM image format generation
+ * - imageGenerators/tga.js: Uncompressed TGA image format generation
+ * - imageGenerators/deflate.js: zlib/DEFLATE compression used by the PNG encoder
  * - fractal.js: Core fractal generation algorithms
+ * - palette.js: Color palettes applied by the image encoders
+ * - dither.js: Dithering down to 1, 2 and 4-bit output
+ * - deepZoom.js: Arbitrary-precision perturbation rendering for deep zooms
+ * - font.js: Tiny bitmap font for captions and labels stamped onto images
+ * - requestBody.js: Raw, multipart and gzip request bodies for the converters
+ * - ndjson.js: Streaming NDJSON to JSON conversion
+ * - csv.js: RFC 4180 CSV and TSV parsing and writing
+ * - query.js: select, where, sort and limit on converter output
+ * - xml.js: XML parser presets and options for /xml-to-json
  */
 
-import { XMLParser } from 'fast-xml-parser';
+import { XMLParser, XMLBuilder } from 'fast-xml-parser';
 import { checkRateLimit } from './rateLimit';
-import { createMinimalBMP } from './imageGenerators/bmp';
-import { createMinimalPNG } from './imageGenerators/png';
-import { generateFractal } from './fractal';
+import { createMinimalBMP, streamBMP } from './imageGenerators/bmp';
+import { createMinimalPNG, streamPNG } from './imageGenerators/png';
+import { createAnimatedGIF } from './imageGenerators/gif';
+import { createQOI } from './imageGenerators/qoi';
+import { createPGM, createPPM } from './imageGenerators/netpbm';
+import { createTGA } from './imageGenerators/tga';
+import { generateFractal, generateFractalRows, resolveViewport, tileViewport, pickFractalType, avatarParams, FRACTALS, FRACTAL_TYPES, COLORING_MODES } from './fractal';
+import { createPalette, PALETTE_NAMES } from './palette';
+import { isDecimal, offsetDecimal } from './deepZoom';
+import { drawText, stampCaption, GLYPH_HEIGHT, CAPTION_CORNERS, CAPTION_CONTRASTS } from './font';
+import { ditherPixels, reducePalette, DITHER_METHODS } from './dither';
 import { createPoll, vote, getPoll, listPolls, resetPoll, deletePoll } from './poll';
 import { withApiKeyValidation } from './middleware/validateApiKey';
+import { readRequestText, MAX_BODY_BYTES } from './requestBody';
+import { ndjsonToJson, parseSince } from './ndjson';
+import { parseCsv, toCsv } from './csv';
+import { parseQuery, needsDocument, applyQuery } from './query';
+import { XML_NAMING, xmlParserOptions } from './xml';
+import { signUrl, verifySignedUrl } from './middleware/signedUrl';
+
+function toBase64(bytes) {
+	let binary = '';
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+}
+
+const TILE_SIZE = 256;
+// Total pixels (width x height x frames) one animation may render, keeps it inside Worker CPU limits
+const MAX_ANIMATION_PIXELS = 2000000;
+// Contact sheets: cells per sheet, pixels per sheet and the border around every cell
+const MAX_SHEET_CELLS = 100;
+const MAX_SHEET_PIXELS = 2000000;
+const SHEET_GAP = 2;
+const MAX_CAPTION_LENGTH = 200;
+const MAX_AVATAR_TEXT_LENGTH = 256;
+const AVATAR_ITERATIONS = 120;
+// Deep tiles are rendered by perturbation, so the limit is set by iterations rather than precision
+const MAX_TILE_ZOOM = 200;
+// Seeded renders never change, so browsers and the edge may keep them
+const FRACTAL_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+// Caps for /fractal URLs signed through /fractal/sign, and the longest a signature may last
+const SIGNED_MAX_WIDTH = 4096;
+const SIGNED_MAX_HEIGHT = 4096;
+const SIGNED_MAX_ITER = 5000;
+const MAX_SIGNED_TTL = 30 * 24 * 60 * 60;
+
+// Image encoders by format name, all called as (width, height, pixels, palette, bitDepth)
+const IMAGE_FORMATS = {
+	bmp: { contentType: 'image/bmp', encode: createMinimalBMP },
+	png: { contentType: 'image/png', encode: createMinimalPNG },
+	qoi: { contentType: 'image/qoi', encode: createQOI },
+	pgm: { contentType: 'image/x-portable-graymap', encode: createPGM },
+	ppm: { contentType: 'image/x-portable-pixmap', encode: createPPM },
+	tga: { contentType: 'image/x-tga', encode: createTGA }
+};
+const IMAGE_FORMAT_NAMES = Object.keys(IMAGE_FORMATS);
+
+// Media types understood in Accept, in addition to the IMAGE_FORMATS content types
+const ACCEPT_FORMATS = {
+	'application/json': 'json',
+	'image/x-targa': 'tga',
+	...Object.fromEntries(IMAGE_FORMAT_NAMES.map(name => [IMAGE_FORMATS[name].contentType, name]))
+};
+
+// Format for the most preferred media type in an Accept header, ignoring wildcards
+function negotiateFormat(accept) {
+	let best = null;
+	let bestQuality = 0;
+	for (const entry of (accept || '').split(',')) {
+		const [type, ...parameters] = entry.split(';').map(part => part.trim().toLowerCase());
+		const q = parameters.find(parameter => parameter.startsWith('q='));
+		const quality = q ? parseFloat(q.slice(2)) : 1;
+		if (ACCEPT_FORMATS[type] && quality > bestQuality) {
+			best = ACCEPT_FORMATS[type];
+			bestQuality = quality;
+		}
+	}
+	return best;
+}
+
+// Strong ETag value for a normalized fractal cache key
+async function hashCacheKey(key) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+	return Array.from(new Uint8Array(digest))
+		.map(b => b.toString(16).padStart(2, '0'))
+		.join('')
+		.slice(0, 32);
+}
+
+// If-None-Match uses weak comparison and may list several tags or '*'
+function etagMatches(ifNoneMatch, etag) {
+	if (!ifNoneMatch) return false;
+	return ifNoneMatch.split(',').some(tag => {
+		const value = tag.trim();
+		return value === '*' || value.replace(/^W\//, '') === etag;
+	});
+}
 
 function getClientFingerprint(request) {
 	const ip =
@@ -114,13 +253,36 @@ export default {
 				}
 			});
 		} else if (url.pathname === '/fractal') {
-			response = await handleFractalRequest(request);
+			response = await handleFractalRequest(request, env, ctx);
+		} else if (url.pathname === '/fractal/explorer') {
+			response = new Response(renderFractalExplorer(), {
+				headers: {
+					'Content-Type': 'text/html; charset=utf-8',
+					'Cache-Control': 'no-store'
+				}
+			});
+		} else if (url.pathname === '/fractal/avatar') {
+			response = await handleFractalAvatarRequest(request);
+		} else if (url.pathname === '/fractal/sheet') {
+			response = await handleFractalSheetRequest(request);
+		} else if (url.pathname === '/fractal/animate') {
+			response = await handleFractalAnimateRequest(request);
+		} else if (url.pathname.startsWith('/fractal/tiles/')) {
+			response = await handleFractalTileRequest(request);
 		} else if (url.pathname === '/status') {
 			response = new Response('Worker is running', { status: 200 });
 		} else if (url.pathname === '/ndjson-to-json') {
 			response = await handleNdjsonRequest(request, env);
 		} else if (url.pathname === '/xml-to-json') {
 			response = await handleXmlRequest(request, env);
+		} else if (url.pathname === '/json-to-ndjson') {
+			response = await handleJsonToNdjsonRequest(request);
+		} else if (url.pathname === '/json-to-xml') {
+			response = await handleJsonToXmlRequest(request);
+		} else if (url.pathname === '/csv-to-json') {
+			response = await handleCsvRequest(request, env);
+		} else if (url.pathname === '/json-to-csv') {
+			response = await handleJsonToCsvRequest(request);
 		} else if (url.pathname === '/poll/vote') {
 			response = await handleVoteRequest(request, env);
 		} else if (url.pathname === '/poll/results/json') {
@@ -176,6 +338,11 @@ export default {
 				return await handleGetAllPolls(request, env);
 			};
 			response = await withApiKeyValidation(handler)(request, env, ctx);
+		} else if (url.pathname === '/fractal/sign') {
+			const handler = async (request, env, ctx, resource) => {
+				return await handleFractalSignRequest(request, env, resource);
+			};
+			response = await withApiKeyValidation(handler)(request, env, ctx);
 		} else if (url.pathname === '/protected') {
 			const handler = async (request, env, ctx) => {
 				return new Response('This is a protected route but you are now allowed to access it');
@@ -193,7 +360,7 @@ export default {
 	}
 };
 
-async function handleFractalRequest(request) {
+async function handleFractalRequest(request, env, ctx) {
 	const url = new URL(request.url);
 	
 	// Parse URL parameters
@@ -203,68 +370,916 @@ async function handleFractalRequest(request) {
 	const heightParam = url.searchParams.get('height');
 	const bmpParam = url.searchParams.get('bmp');
 	const iterParam = url.searchParams.get('iter');
-	const useBmp = bmpParam !== 'false'; // defaults to true
+	const paletteParam = url.searchParams.get('palette');
+	const coloringParam = url.searchParams.get('coloring');
+	const aaParam = url.searchParams.get('aa');
+	const formatParam = url.searchParams.get('format');
+	const depthParam = url.searchParams.get('depth');
+	const ditherParam = url.searchParams.get('dither');
+	const captionParam = url.searchParams.get('caption');
+	const streamParam = url.searchParams.get('stream');
+	// format wins over the legacy bmp switch, which wins over Accept negotiation
+	const format = formatParam || (bmpParam !== null ? (bmpParam !== 'false' ? 'bmp' : 'png') : negotiateFormat(request.headers.get('Accept')) || 'bmp');
 	const seed = seedParam ? parseInt(seedParam) : Math.floor(Math.random() * 1000000);
 	
-	// Set size limits based on format
-	const maxWidth = useBmp ? 800 : 320;
-	const maxHeight = useBmp ? 600 : 200;
+	// A valid signed URL lifts the size and iteration caps up to the signed ceiling
+	let signedUntil = null;
+	if (url.searchParams.get('sig') !== null) {
+		const { valid, error, expires } = await verifySignedUrl(url, env);
+		if (!valid) {
+			return new Response(`Invalid signature - ${error}`, { status: 403 });
+		}
+		signedUntil = expires;
+	}
+
+	// Supersampling: aa x aa samples per pixel
+	const aa = aaParam ? parseInt(aaParam) : 1;
+	if (![1, 2, 3].includes(aa)) {
+		return new Response('Invalid aa parameter - use 1, 2 or 3', { status: 400 });
+	}
+
+	// Set size limits (PNG output is compressed, so it shares the BMP limits). Supersampling
+	// and JSON, which holds the whole PNG and its base64 at once, keep the normal caps
+	// even when signed, so one signed URL cannot outgrow the Worker's memory and CPU
+	const raised = signedUntil !== null && aa === 1 && format !== 'json';
+	const maxWidth = raised ? SIGNED_MAX_WIDTH : 800;
+	const maxHeight = raised ? SIGNED_MAX_HEIGHT : 600;
 
 	// Apply size limits
 	const requestedWidth = widthParam ? parseInt(widthParam) : 720;
 	const requestedHeight = heightParam ? parseInt(heightParam) : 432;
-	
+	if (!(requestedWidth >= 1) || !(requestedHeight >= 1)) {
+		return new Response('Invalid width or height - expected a positive number', { status: 400 });
+	}
+
 	const width = Math.min(requestedWidth, maxWidth);
 	const height = Math.min(requestedHeight, maxHeight);
 	
 	// Parse iterations parameter with a default of 50 and a maximum of 800
-	const maxIter = Math.min(iterParam ? parseInt(iterParam) : 50, 800);
-	
-	// Simple random number generator with seed
-	const random = (() => {
-		let state = seed;
-		return () => {
-			state = (state * 1664525 + 1013904223) >>> 0;
-			return state / 0xFFFFFFFF;
-		};
-	})();
+	const maxIter = Math.min(iterParam ? parseInt(iterParam) : 50, raised ? SIGNED_MAX_ITER : 800);
+	if (!(maxIter >= 1)) {
+		return new Response('Invalid iter parameter - expected a positive number', { status: 400 });
+	}
 	
+	// Resolve the color palette (no palette keeps the original grayscale output)
+	const palette = paletteParam ? createPalette(paletteParam) : null;
+	if (paletteParam && !palette) {
+		return new Response('Invalid palette - use a named palette or comma separated hex colors', { status: 400 });
+	}
+
+	const coloring = coloringParam || 'default';
+	if (!COLORING_MODES.includes(coloring)) {
+		return new Response(`Invalid coloring - use one of ${COLORING_MODES.join(', ')}`, { status: 400 });
+	}
+
+	if (typeParam && !FRACTAL_TYPES.includes(typeParam)) {
+		return new Response(`Invalid type - use one of ${FRACTAL_TYPES.join(', ')}`, { status: 400 });
+	}
+
+	if (format !== 'json' && !IMAGE_FORMATS[format]) {
+		return new Response(`Invalid format - use ${IMAGE_FORMAT_NAMES.join(', ')} or json`, { status: 400 });
+	}
+
+	// Low bit depths for e-paper displays, reached by dithering
+	const depth = depthParam ? parseInt(depthParam) : 8;
+	if (![1, 2, 4, 8].includes(depth)) {
+		return new Response('Invalid depth parameter - use 1, 2, 4 or 8', { status: 400 });
+	}
+	const dither = ditherParam || 'floyd-steinberg';
+	if (!DITHER_METHODS.includes(dither)) {
+		return new Response(`Invalid dither - use one of ${DITHER_METHODS.join(', ')}`, { status: 400 });
+	}
+
+	// Optional caption stamped onto the image
+	if (captionParam !== null && (captionParam.length === 0 || captionParam.length > MAX_CAPTION_LENGTH)) {
+		return new Response(`Invalid caption - expected 1 to ${MAX_CAPTION_LENGTH} characters`, { status: 400 });
+	}
+	const corner = url.searchParams.get('corner') || 'bottom-right';
+	if (!CAPTION_CORNERS.includes(corner)) {
+		return new Response(`Invalid corner - use one of ${CAPTION_CORNERS.join(', ')}`, { status: 400 });
+	}
+	const contrast = url.searchParams.get('contrast') || 'box';
+	if (!CAPTION_CONTRASTS.includes(contrast)) {
+		return new Response(`Invalid contrast - use one of ${CAPTION_CONTRASTS.join(', ')}`, { status: 400 });
+	}
+	const textSizeParam = url.searchParams.get('textsize');
+	const textSize = textSizeParam ? parseInt(textSizeParam) : 1;
+	if (![1, 2, 3, 4].includes(textSize)) {
+		return new Response('Invalid textsize parameter - use 1, 2, 3 or 4', { status: 400 });
+	}
+
+	// Optional viewport overrides; anything not given falls back to the seeded value
+	const viewportParams = { cx: 'centerX', cy: 'centerY', zoom: 'zoom', jx: 'juliaX', jy: 'juliaY', power: 'power' };
+	const overrides = {};
+	for (const [param, key] of Object.entries(viewportParams)) {
+		const value = url.searchParams.get(param);
+		if (value === null) continue;
+		const number = parseFloat(value);
+		if (!Number.isFinite(number) || (key === 'zoom' && number <= 0) || (key === 'power' && (number < 1 || number > 10))) {
+			const expected = key === 'power' ? 'a number from 1 to 10' : key === 'zoom' ? 'a positive number' : 'a number';
+			return new Response(`Invalid ${param} parameter - expected ${expected}`, { status: 400 });
+		}
+		overrides[key] = number;
+		// Keep every digit of the center for deep zooms, which need more than a double holds
+		if ((key === 'centerX' || key === 'centerY') && isDecimal(value)) {
+			overrides[key === 'centerX' ? 'preciseCenterX' : 'preciseCenterY'] = value;
+		}
+	}
+
 	// Randomly choose fractal type if not specified
-	const fractalType = typeParam || (random() < 0.5 ? 'mandelbrot' : 'julia');
+	const fractalType = typeParam || pickFractalType(seed);
 	
-	// Generate fractal
-	const pixelData = generateFractal(width, height, maxIter, seed, fractalType);
+	const viewport = resolveViewport(seed, fractalType, overrides);
+
+	// caption=auto spells out what is needed to render the image again
+	const caption = captionParam === 'auto'
+		? [
+			fractalType,
+			`seed=${seed}`,
+			`iter=${maxIter}`,
+			...Object.keys(viewportParams).filter(param => url.searchParams.get(param) !== null).map(param => `${param}=${url.searchParams.get(param)}`)
+		].join(' ')
+		: captionParam;
+
+	// Echo the effective parameters so the image can be regenerated exactly
+	const fractalHeaders = {
+		'X-Fractal-Seed': seed.toString(),
+		'X-Fractal-Type': fractalType,
+		'X-Fractal-Iter': maxIter.toString(),
+		'X-Fractal-Cx': viewport.preciseCenterX ?? viewport.centerX.toString(),
+		'X-Fractal-Cy': viewport.preciseCenterY ?? viewport.centerY.toString(),
+		'X-Fractal-Zoom': viewport.zoom.toString(),
+		'X-Fractal-Jx': viewport.juliaX.toString(),
+		'X-Fractal-Jy': viewport.juliaY.toString(),
+		'X-Fractal-Coloring': coloring,
+		'X-Fractal-AA': aa.toString(),
+		'X-Fractal-Depth': depth.toString()
+	};
+	if (viewport.power !== undefined) {
+		fractalHeaders['X-Fractal-Power'] = viewport.power.toString();
+	}
+	// Signed renders may be cached, but not past the signature's expiry
+	const cacheControl = signedUntil
+		? `public, max-age=${Math.max(0, signedUntil - Math.floor(Date.now() / 1000))}`
+		: FRACTAL_CACHE_CONTROL;
+	if (signedUntil) {
+		fractalHeaders['Cache-Control'] = cacheControl;
+	}
+
+	// Uncaptioned 8-bit BMPs, and PNGs with stream=true, are encoded and sent row by
+	// row while they render instead of being held in memory twice
+	const streamed = caption === null && depth === 8 && (format === 'bmp' || (format === 'png' && streamParam === 'true'));
+
+	// A render with an explicit seed is deterministic, so it can be revalidated
+	// and served from the edge cache, keyed on the normalized parameters
+	let cacheKey = null;
+	if (seedParam) {
+		const normalized = new URLSearchParams({
+			format,
+			seed,
+			type: fractalType,
+			width,
+			height,
+			iter: maxIter,
+			cx: viewport.preciseCenterX ?? viewport.centerX,
+			cy: viewport.preciseCenterY ?? viewport.centerY,
+			zoom: viewport.zoom,
+			jx: viewport.juliaX,
+			jy: viewport.juliaY,
+			...(viewport.power !== undefined ? { power: viewport.power } : {}),
+			coloring,
+			aa,
+			depth,
+			...(depth < 8 ? { dither } : {}),
+			palette: paletteParam || 'gray',
+			...(caption !== null ? { caption, corner, contrast, textsize: textSize } : {}),
+			// Streamed PNGs are uncompressed, so they differ from the usual bytes
+			...(streamed && format === 'png' ? { stream: true } : {})
+		});
+		cacheKey = new Request(`${url.origin}/fractal?${normalized}`);
+		fractalHeaders['ETag'] = `"${await hashCacheKey(cacheKey.url)}"`;
+		fractalHeaders['Cache-Control'] = cacheControl;
+
+		if (etagMatches(request.headers.get('If-None-Match'), fractalHeaders['ETag'])) {
+			return new Response(null, { status: 304, headers: fractalHeaders });
+		}
+		const cached = await caches.default.match(cacheKey);
+		if (cached) {
+			return cached;
+		}
+	}
+
+	// Generate fractal, unless it is streamed below; JSON mode also keeps the escape counts
+	const iterations = format === 'json' ? new Uint32Array(width * height) : undefined;
+	const pixelData = streamed ? null : generateFractal(width, height, maxIter, seed, fractalType, viewport, { coloring, aa, iterations });
+	if (caption !== null) {
+		stampCaption(pixelData, width, height, caption, { corner, contrast, scale: textSize });
+	}
+	const imageData = depth < 8 ? ditherPixels(pixelData, width, height, depth, dither) : pixelData;
+	const imagePalette = depth < 8 && palette ? reducePalette(palette, depth) : palette;
+
+	let response;
 
-	// Return response
-	if (useBmp) {
-		const bmpData = createMinimalBMP(width, height, pixelData);
-		return new Response(bmpData, {
+	if (streamed) {
+		const rows = generateFractalRows(width, height, maxIter, seed, fractalType, viewport, { coloring, aa });
+		const body = format === 'bmp' ? streamBMP(width, height, rows, palette) : streamPNG(width, height, rows, palette);
+		response = new Response(body, {
 			headers: {
-				'Content-Type': 'image/bmp',
-				'Content-Disposition': `inline; filename="fractal-${seed}.bmp"`,
-				'X-Fractal-Seed': seed.toString()
+				'Content-Type': IMAGE_FORMATS[format].contentType,
+				'Content-Disposition': `inline; filename="fractal-${seed}.${format}"`,
+				'Vary': 'Accept',
+				...fractalHeaders
+			}
+		});
+	} else if (format === 'json') {
+		// JSON mode: base64 PNG plus raw iteration counts for client-side coloring
+		const pngData = createMinimalPNG(width, height, imageData, imagePalette, depth);
+		const body = {
+			width,
+			height,
+			mimeType: 'image/png',
+			data: toBase64(pngData),
+			iterations: Array.from(iterations),
+			params: {
+				seed,
+				type: fractalType,
+				iter: maxIter,
+				// Exact decimal strings on deep zooms, where a double cannot place the view
+				cx: viewport.preciseCenterX ?? viewport.centerX,
+				cy: viewport.preciseCenterY ?? viewport.centerY,
+				zoom: viewport.zoom,
+				jx: viewport.juliaX,
+				jy: viewport.juliaY,
+				...(viewport.power !== undefined ? { power: viewport.power } : {}),
+				coloring,
+				aa,
+				depth,
+				...(depth < 8 ? { dither } : {}),
+				palette: paletteParam || 'gray',
+				...(caption !== null ? { caption } : {})
+			}
+		};
+		response = new Response(JSON.stringify(body), {
+			headers: {
+				'Content-Type': 'application/json',
+				'Vary': 'Accept',
+				...fractalHeaders
 			}
 		});
 	} else {
-		const pngData = createMinimalPNG(width, height, pixelData);
-		return new Response(pngData, {
+		const { contentType, encode } = IMAGE_FORMATS[format];
+		response = new Response(encode(width, height, imageData, imagePalette, depth), {
 			headers: {
-				'Content-Type': 'image/png',
-				'Content-Disposition': `inline; filename="fractal-${seed}.png"`,
-				'X-Fractal-Seed': seed.toString()
+				'Content-Type': contentType,
+				'Content-Disposition': `inline; filename="fractal-${seed}.${format}"`,
+				'Vary': 'Accept',
+				...fractalHeaders
 			}
 		});
 	}
+
+	if (cacheKey) {
+		ctx.waitUntil(caches.default.put(cacheKey, response.clone()));
+	}
+	return response;
+}
+
+// mint a signed, expiring /fractal URL that lifts the size and iteration caps
+// example: /fractal/sign?ttl=86400&seed=42&width=3000&height=2000&iter=2000&format=png
+async function handleFractalSignRequest(request, env, resource) {
+	// Keys scoped to one poll must not mint renders with the raised caps
+	if (resource) {
+		return new Response('Not allowed - resource-scoped API keys cannot sign URLs', { status: 403 });
+	}
+
+	const url = new URL(request.url);
+	const params = new URLSearchParams(url.searchParams);
+
+	const ttl = params.get('ttl') ? parseInt(params.get('ttl')) : 24 * 60 * 60;
+	if (!Number.isFinite(ttl) || ttl < 1 || ttl > MAX_SIGNED_TTL) {
+		return new Response(`Invalid ttl parameter - expected 1 to ${MAX_SIGNED_TTL} seconds`, { status: 400 });
+	}
+	// The API key and ttl only concern this request, everything else goes into the signed URL
+	for (const name of ['ttl', 'key', 'expires', 'sig']) {
+		params.delete(name);
+	}
+
+	const expires = Math.floor(Date.now() / 1000) + ttl;
+	try {
+		const signed = await signUrl(new URL(`${url.origin}/fractal?${params}`), expires, env);
+		return new Response(JSON.stringify({ url: signed.toString(), expires: new Date(expires * 1000).toISOString() }), {
+			headers: {
+				'Content-Type': 'application/json',
+				'Cache-Control': 'no-store'
+			}
+		});
+	} catch (error) {
+		return new Response(error.message, { status: 500 });
+	}
+}
+
+// handle slippy-map tile requests for an infinite-zoom explorer
+// example: /fractal/tiles/mandelbrot/3/2/4.png?iter=200&palette=fire
+async function handleFractalTileRequest(request) {
+	const url = new URL(request.url);
+	const match = url.pathname.match(/^\/fractal\/tiles\/([a-z]+)\/(\d+)\/(\d+)\/(\d+)\.png$/);
+	if (!match || !FRACTAL_TYPES.includes(match[1])) {
+		return new Response('Not Found ' + url.pathname, { status: 404 });
+	}
+
+	// Tile numbers outgrow doubles past zoom 53, so they stay BigInts
+	const fractalType = match[1];
+	const z = parseInt(match[2]);
+	const [x, y] = match.slice(3).map(value => BigInt(value));
+	if (z > MAX_TILE_ZOOM || x >= 1n << BigInt(z) || y >= 1n << BigInt(z)) {
+		return new Response('Tile out of range', { status: 404 });
+	}
+
+	// Deeper tiles need more iterations to show detail
+	const iterParam = url.searchParams.get('iter');
+	const maxIter = Math.min(iterParam ? parseInt(iterParam) : 64 + 32 * z, 800);
+	if (!(maxIter >= 1)) {
+		return new Response('Invalid iter parameter - expected a positive number', { status: 400 });
+	}
+
+	const paletteParam = url.searchParams.get('palette');
+	const palette = paletteParam ? createPalette(paletteParam) : null;
+	if (paletteParam && !palette) {
+		return new Response('Invalid palette - use a named palette or comma separated hex colors', { status: 400 });
+	}
+
+	// Julia tiles use a fixed constant unless one is given (phoenix keeps its own)
+	const defaultJulia = fractalType === 'phoenix' ? ['0.5667', '-0.5'] : ['-0.8', '0.156'];
+	const juliaX = parseFloat(url.searchParams.get('jx') ?? defaultJulia[0]);
+	const juliaY = parseFloat(url.searchParams.get('jy') ?? defaultJulia[1]);
+	if (!Number.isFinite(juliaX) || !Number.isFinite(juliaY)) {
+		return new Response('Invalid jx or jy parameter - expected a number', { status: 400 });
+	}
+
+	const viewport = resolveViewport(0, fractalType, { ...tileViewport(fractalType, z, x, y), juliaX, juliaY });
+	const powerParam = url.searchParams.get('power');
+	if (powerParam !== null) {
+		viewport.power = parseFloat(powerParam);
+		if (!Number.isFinite(viewport.power) || viewport.power < 1 || viewport.power > 10) {
+			return new Response('Invalid power parameter - expected a number from 1 to 10', { status: 400 });
+		}
+	}
+	const pixelData = generateFractal(TILE_SIZE, TILE_SIZE, maxIter, 0, fractalType, viewport);
+	const pngData = createMinimalPNG(TILE_SIZE, TILE_SIZE, pixelData, palette);
+
+	// A tile URL always renders the same image, so let browsers and the edge keep it
+	return new Response(pngData, {
+		headers: {
+			'Content-Type': 'image/png',
+			'Cache-Control': 'public, max-age=31536000, immutable',
+			'Access-Control-Allow-Origin': '*'
+		}
+	});
+}
+
+// render a zoom from the default view into a point as an animated GIF
+// example: /fractal/animate?type=mandelbrot&cx=-0.7436&cy=0.1318&zoom=0.001&frames=30&palette=fire
+async function handleFractalAnimateRequest(request) {
+	const url = new URL(request.url);
+	const params = url.searchParams;
+
+	const seed = params.get('seed') ? parseInt(params.get('seed')) : Math.floor(Math.random() * 1000000);
+	const fractalType = params.get('type') || 'mandelbrot';
+	if (!FRACTAL_TYPES.includes(fractalType)) {
+		return new Response(`Invalid type - use one of ${FRACTAL_TYPES.join(', ')}`, { status: 400 });
+	}
+
+	const width = Math.min(params.get('width') ? parseInt(params.get('width')) : 240, 400);
+	const height = Math.min(params.get('height') ? parseInt(params.get('height')) : 180, 300);
+	const frameCount = Math.min(params.get('frames') ? parseInt(params.get('frames')) : 30, 120);
+	const maxIter = Math.min(params.get('iter') ? parseInt(params.get('iter')) : 100, 800);
+	const delay = Math.min(Math.max(params.get('delay') ? parseInt(params.get('delay')) : 100, 20), 10000);
+	const loop = Math.min(Math.max(params.get('loop') ? parseInt(params.get('loop')) : 0, 0), 65535);
+	if (![width, height, frameCount, maxIter, delay, loop].every(Number.isFinite) || width < 1 || height < 1 || frameCount < 2 || maxIter < 1) {
+		return new Response('Invalid width, height, frames, iter, delay or loop parameter', { status: 400 });
+	}
+
+	if (width * height * frameCount > MAX_ANIMATION_PIXELS) {
+		return new Response(`Animation too large - width x height x frames must not exceed ${MAX_ANIMATION_PIXELS}`, { status: 400 });
+	}
+
+	const paletteParam = params.get('palette');
+	const palette = paletteParam ? createPalette(paletteParam) : null;
+	if (paletteParam && !palette) {
+		return new Response('Invalid palette - use a named palette or comma separated hex colors', { status: 400 });
+	}
+
+	const coloring = params.get('coloring') || 'default';
+	if (!COLORING_MODES.includes(coloring)) {
+		return new Response(`Invalid coloring - use one of ${COLORING_MODES.join(', ')}`, { status: 400 });
+	}
+
+	// Start from the seeded default view and zoom towards the target point
+	const start = resolveViewport(seed, fractalType);
+	const focus = FRACTALS[fractalType].focus || { x: start.centerX, y: start.centerY };
+	const targetText = [params.get('cx') ?? String(focus.x), params.get('cy') ?? String(focus.y)];
+	const targetX = parseFloat(targetText[0]);
+	const targetY = parseFloat(targetText[1]);
+	const endZoom = params.get('zoom') !== null ? parseFloat(params.get('zoom')) : start.zoom / 1000;
+	if (!isDecimal(targetText[0]) || !isDecimal(targetText[1]) || !Number.isFinite(targetX) || !Number.isFinite(targetY) || !Number.isFinite(endZoom) || endZoom <= 0) {
+		return new Response('Invalid cx, cy or zoom parameter - expected numbers with a positive zoom', { status: 400 });
+	}
+
+	const frames = [];
+	for (let f = 0; f < frameCount; f++) {
+		// Geometric zoom steps; scaling the offset from the target with the zoom keeps the target fixed on screen
+		const zoom = start.zoom * Math.pow(endZoom / start.zoom, f / (frameCount - 1));
+		const scale = zoom / start.zoom;
+		const offsetX = (start.centerX - targetX) * scale;
+		const offsetY = (start.centerY - targetY) * scale;
+		const viewport = {
+			...start,
+			zoom,
+			centerX: targetX + offsetX,
+			centerY: targetY + offsetY,
+			// Exact centers for the frames deep enough to need them
+			preciseCenterX: offsetDecimal(targetText[0], offsetX, zoom),
+			preciseCenterY: offsetDecimal(targetText[1], offsetY, zoom)
+		};
+		frames.push(generateFractal(width, height, maxIter, seed, fractalType, viewport, { coloring }));
+	}
+
+	const gifData = createAnimatedGIF(width, height, frames, { palette, delay, loop });
+	return new Response(gifData, {
+		headers: {
+			'Content-Type': 'image/gif',
+			'Content-Disposition': `inline; filename="fractal-zoom-${seed}.gif"`,
+			'X-Fractal-Seed': seed.toString(),
+			'X-Fractal-Type': fractalType,
+			'X-Fractal-Iter': maxIter.toString(),
+			'X-Fractal-Cx': targetText[0],
+			'X-Fractal-Cy': targetText[1],
+			'X-Fractal-Zoom': endZoom.toString(),
+			'X-Fractal-Frames': frameCount.toString()
+		}
+	});
+}
+
+// render thumbnails of many seeds into one image, each stamped with its seed
+// example: /fractal/sheet?seeds=1,2,3,4&type=julia&palette=fire or /fractal/sheet?start=100&count=24
+async function handleFractalSheetRequest(request) {
+	const url = new URL(request.url);
+	const params = url.searchParams;
+
+	// Seeds come from an explicit list, or a run of count seeds from start
+	let seeds;
+	if (params.get('seeds') !== null) {
+		seeds = params.get('seeds').split(',').map(value => parseInt(value.trim()));
+	} else {
+		const start = params.get('start') ? parseInt(params.get('start')) : 1;
+		const count = params.get('count') ? parseInt(params.get('count')) : 12;
+		seeds = Array.from({ length: Number.isFinite(count) && count > 0 ? count : 0 }, (_, i) => start + i);
+	}
+	if (seeds.length === 0 || !seeds.every(Number.isFinite)) {
+		return new Response('Invalid seeds, start or count parameter - expected integers', { status: 400 });
+	}
+	if (seeds.length > MAX_SHEET_CELLS) {
+		return new Response(`Too many seeds - a sheet holds at most ${MAX_SHEET_CELLS}`, { status: 400 });
+	}
+
+	const typeParam = params.get('type');
+	if (typeParam && !FRACTAL_TYPES.includes(typeParam)) {
+		return new Response(`Invalid type - use one of ${FRACTAL_TYPES.join(', ')}`, { status: 400 });
+	}
+
+	const cellWidth = Math.min(params.get('width') ? parseInt(params.get('width')) : 160, 320);
+	const cellHeight = Math.min(params.get('height') ? parseInt(params.get('height')) : 96, 240);
+	const maxIter = Math.min(params.get('iter') ? parseInt(params.get('iter')) : 50, 800);
+	const columns = Math.min(params.get('columns') ? parseInt(params.get('columns')) : Math.ceil(Math.sqrt(seeds.length)), seeds.length);
+	if (![cellWidth, cellHeight, maxIter, columns].every(Number.isFinite) || cellWidth < 16 || cellHeight < 16 || columns < 1) {
+		return new Response('Invalid width, height, iter or columns parameter', { status: 400 });
+	}
+
+	const rows = Math.ceil(seeds.length / columns);
+	const width = columns * cellWidth + (columns + 1) * SHEET_GAP;
+	const height = rows * cellHeight + (rows + 1) * SHEET_GAP;
+	if (width * height > MAX_SHEET_PIXELS) {
+		return new Response(`Sheet too large - the whole image must not exceed ${MAX_SHEET_PIXELS} pixels`, { status: 400 });
+	}
+
+	const paletteParam = params.get('palette');
+	const palette = paletteParam ? createPalette(paletteParam) : null;
+	if (paletteParam && !palette) {
+		return new Response('Invalid palette - use a named palette or comma separated hex colors', { status: 400 });
+	}
+
+	const coloring = params.get('coloring') || 'default';
+	if (!COLORING_MODES.includes(coloring)) {
+		return new Response(`Invalid coloring - use one of ${COLORING_MODES.join(', ')}`, { status: 400 });
+	}
+
+	const format = params.get('format') || 'png';
+	if (!IMAGE_FORMATS[format]) {
+		return new Response(`Invalid format - use one of ${IMAGE_FORMAT_NAMES.join(', ')}`, { status: 400 });
+	}
+
+	// Each cell is the same render /fractal gives for that seed, only smaller
+	const pixelData = new Uint8Array(width * height);
+	seeds.forEach((seed, index) => {
+		const fractalType = typeParam || pickFractalType(seed);
+		const thumbnail = generateFractal(cellWidth, cellHeight, maxIter, seed, fractalType, resolveViewport(seed, fractalType), { coloring });
+		const left = SHEET_GAP + (index % columns) * (cellWidth + SHEET_GAP);
+		const top = SHEET_GAP + Math.floor(index / columns) * (cellHeight + SHEET_GAP);
+		for (let y = 0; y < cellHeight; y++) {
+			pixelData.set(thumbnail.subarray(y * cellWidth, (y + 1) * cellWidth), (top + y) * width + left);
+		}
+		drawText(pixelData, width, height, seed.toString(), left + 2, top + cellHeight - GLYPH_HEIGHT - 4, { background: 0, padding: 1 });
+	});
+
+	const headers = {
+		'Content-Disposition': `inline; filename="fractal-sheet.${format}"`,
+		'X-Fractal-Seeds': seeds.join(','),
+		'X-Fractal-Iter': maxIter.toString(),
+		'X-Fractal-Columns': columns.toString()
+	};
+	if (typeParam) {
+		headers['X-Fractal-Type'] = typeParam;
+	}
+
+	const { contentType, encode } = IMAGE_FORMATS[format];
+	return new Response(encode(width, height, pixelData, palette), {
+		headers: { 'Content-Type': contentType, ...headers }
+	});
+}
+
+// render a small square icon that is always the same for the same string
+// example: /fractal/avatar?for=alice@example.com&size=96
+async function handleFractalAvatarRequest(request) {
+	const url = new URL(request.url);
+	const params = url.searchParams;
+
+	const text = params.get('for');
+	if (!text || text.length > MAX_AVATAR_TEXT_LENGTH) {
+		return new Response(`Invalid for parameter - expected 1 to ${MAX_AVATAR_TEXT_LENGTH} characters`, { status: 400 });
+	}
+
+	const size = params.get('size') ? parseInt(params.get('size')) : 64;
+	if (!Number.isFinite(size) || size < 16 || size > 256) {
+		return new Response('Invalid size parameter - expected 16 to 256', { status: 400 });
+	}
+
+	const format = params.get('format') || 'png';
+	if (!IMAGE_FORMATS[format]) {
+		return new Response(`Invalid format - use one of ${IMAGE_FORMAT_NAMES.join(', ')}`, { status: 400 });
+	}
+
+	// Smooth coloring and supersampling keep small icons from looking noisy
+	const { seed, fractalType, viewport, palette: paletteName } = avatarParams(text, PALETTE_NAMES.filter(name => name !== 'gray'));
+	const pixelData = generateFractal(size, size, AVATAR_ITERATIONS, seed, fractalType, viewport, { coloring: 'continuous', aa: size <= 128 ? 2 : 1 });
+	const palette = createPalette(paletteName);
+
+	const headers = {
+		'Content-Disposition': `inline; filename="avatar.${format}"`,
+		'Cache-Control': FRACTAL_CACHE_CONTROL,
+		'X-Fractal-Seed': seed.toString(),
+		'X-Fractal-Type': fractalType,
+		'X-Fractal-Palette': paletteName
+	};
+	const { contentType, encode } = IMAGE_FORMATS[format];
+	return new Response(encode(size, size, pixelData, palette), {
+		headers: { 'Content-Type': contentType, ...headers }
+	});
+}
+
+// interactive explorer page for finding and sharing fractal views
+// example: /fractal/explorer?type=mandelbrot&palette=fire&iter=200
+function renderFractalExplorer() {
+	const options = JSON.stringify({ types: FRACTAL_TYPES, palettes: PALETTE_NAMES, colorings: COLORING_MODES });
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>Fractal Explorer</title>
+  <style>
+    :root {
+      color-scheme: dark;
+      --bg: #0b1021;
+      --panel: #121a36;
+      --accent: #7be0ad;
+      --accent-2: #6ca0ff;
+      --text: #e9eef9;
+      --muted: #9aa6c2;
+      --danger: #ff8c7b;
+      --border: #1f2c52;
+    }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: "Inter", system-ui, -apple-system, sans-serif; background: var(--bg); color: var(--text); }
+    .shell { max-width: 1100px; margin: 0 auto; padding: 24px 20px 40px; }
+    h1 { margin: 0 0 4px; font-size: 26px; letter-spacing: -0.5px; }
+    p.lead { margin: 0 0 16px; color: var(--muted); }
+    .layout { display: grid; gap: 16px; grid-template-columns: minmax(0, 1fr) 260px; }
+    @media (max-width: 800px) { .layout { grid-template-columns: 1fr; } }
+    .card { background: var(--panel); border: 1px solid var(--border); border-radius: 16px; padding: 16px; box-shadow: 0 10px 30px rgba(0,0,0,0.35); }
+    .viewer { position: relative; overflow: hidden; border-radius: 12px; background: #000; aspect-ratio: 720 / 432; cursor: crosshair; touch-action: none; user-select: none; }
+    .viewer img { width: 100%; height: 100%; display: block; image-rendering: pixelated; pointer-events: none; }
+    .viewer.dragging { cursor: grabbing; }
+    .viewer .loading { position: absolute; top: 10px; right: 10px; padding: 4px 10px; border-radius: 999px; background: rgba(0,0,0,0.6); color: var(--muted); font-size: 12px; display: none; }
+    .viewer.busy .loading { display: block; }
+    .hint { color: var(--muted); font-size: 13px; margin: 8px 0 0; }
+    label { display: grid; gap: 4px; margin-bottom: 10px; color: var(--muted); font-size: 13px; }
+    select, input { width: 100%; padding: 8px; border-radius: 8px; border: 1px solid var(--border); background: #0e162d; color: var(--text); font: inherit; }
+    .row { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+    .hidden { display: none; }
+    button, a.button { border: none; border-radius: 10px; padding: 10px 14px; font-weight: 700; cursor: pointer; color: #0b1021; background: linear-gradient(120deg, var(--accent), var(--accent-2)); text-decoration: none; text-align: center; font-size: 14px; }
+    button.secondary { background: #1a2547; color: var(--text); }
+    .buttons { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-top: 6px; }
+    .share { margin-top: 16px; display: grid; gap: 8px; grid-template-columns: minmax(0, 1fr) auto; }
+    .status { min-height: 18px; margin-top: 8px; font-size: 14px; }
+    .status.error { color: var(--danger); }
+  </style>
+</head>
+<body>
+  <div class="shell">
+    <h1>Fractal Explorer</h1>
+    <p class="lead">Find a view you like, then share the link or download the image.</p>
+
+    <div class="layout">
+      <div class="card">
+        <div class="viewer" id="viewer">
+          <img id="image" alt="Fractal" />
+          <div class="loading">Rendering...</div>
+        </div>
+        <p class="hint">Click to zoom in, shift-click to zoom out, drag to pan, scroll to zoom around the pointer.</p>
+        <div class="share">
+          <input id="permalink" type="text" readonly />
+          <button id="copy" class="secondary">Copy link</button>
+        </div>
+        <div id="status" class="status"></div>
+      </div>
+
+      <div class="card">
+        <label>Type <select id="type"></select></label>
+        <label>Palette <select id="palette"></select></label>
+        <label>Coloring <select id="coloring"></select></label>
+        <label>Iterations <input id="iter" type="number" min="10" max="800" step="10" /></label>
+        <div class="row julia-only">
+          <label>Julia x <input id="jx" type="number" step="0.01" /></label>
+          <label>Julia y <input id="jy" type="number" step="0.01" /></label>
+        </div>
+        <label class="power-only">Power <input id="power" type="number" min="1" max="10" step="0.5" /></label>
+        <div class="buttons">
+          <button id="zoom-in" class="secondary">Zoom in</button>
+          <button id="zoom-out" class="secondary">Zoom out</button>
+          <button id="reset" class="secondary">Reset view</button>
+          <a id="download" class="button" download>Download</a>
+        </div>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    (() => {
+      const OPTIONS = ${options};
+      const WIDTH = 720;
+      const HEIGHT = 432;
+      const VIEW_PARAMS = ['cx', 'cy', 'zoom', 'jx', 'jy', 'power'];
+
+      const els = {};
+      ['viewer', 'image', 'permalink', 'copy', 'status', 'type', 'palette', 'coloring', 'iter', 'jx', 'jy', 'power', 'zoom-in', 'zoom-out', 'reset', 'download']
+        .forEach(id => { els[id] = document.getElementById(id); });
+
+      // Start from the page URL, so permalinks reopen the same view
+      const query = new URLSearchParams(location.search);
+      // Custom palettes are hex stops as in the palette parameter, e.g. 000000,ff8800,ffffff
+      const isPalette = value => OPTIONS.palettes.includes(value) || /^#?[0-9a-f]{6}(,#?[0-9a-f]{6})+$/i.test(value || '');
+      const state = {
+        type: OPTIONS.types.includes(query.get('type')) ? query.get('type') : 'mandelbrot',
+        palette: isPalette(query.get('palette')) ? query.get('palette') : 'fire',
+        coloring: OPTIONS.colorings.includes(query.get('coloring')) ? query.get('coloring') : 'continuous',
+        iter: Number(query.get('iter')) || 200,
+        seed: Number(query.get('seed')) || 1
+      };
+      VIEW_PARAMS.forEach(key => {
+        if (query.has(key) && Number.isFinite(Number(query.get(key)))) state[key] = Number(query.get(key));
+      });
+
+      let imageUrl = null;
+      let request = 0;
+
+      function fillSelect(select, values, selected) {
+        select.replaceChildren(...values.map(value => new Option(value)));
+        if (!values.includes(selected)) select.add(new Option(selected));
+        select.value = selected;
+      }
+
+      function setStatus(msg, isError = false) {
+        els.status.textContent = msg || '';
+        els.status.className = 'status' + (isError ? ' error' : '');
+      }
+
+      function params() {
+        const result = new URLSearchParams({ type: state.type, seed: state.seed, palette: state.palette, coloring: state.coloring, iter: state.iter });
+        VIEW_PARAMS.forEach(key => { if (state[key] !== undefined) result.set(key, state[key]); });
+        return result;
+      }
+
+      function syncControls() {
+        els.type.value = state.type;
+        els.palette.value = state.palette;
+        els.coloring.value = state.coloring;
+        els.iter.value = state.iter;
+        els.jx.value = state.jx ?? '';
+        els.jy.value = state.jy ?? '';
+        els.power.value = state.power ?? '';
+        const usesJulia = state.type === 'julia' || state.type === 'phoenix';
+        document.querySelectorAll('.julia-only').forEach(el => el.classList.toggle('hidden', !usesJulia));
+        document.querySelectorAll('.power-only').forEach(el => el.classList.toggle('hidden', state.type !== 'multibrot'));
+      }
+
+      async function render() {
+        const current = ++request;
+        els.viewer.classList.add('busy');
+        setStatus('');
+        try {
+          const res = await fetch('/fractal?width=' + WIDTH + '&height=' + HEIGHT + '&format=png&' + params());
+          if (!res.ok) throw new Error((await res.text()) || 'Render failed');
+          const blob = await res.blob();
+          if (current !== request) return;
+
+          // The worker echoes the viewport it used, fill in whatever we left to the seed
+          const echoed = { cx: 'X-Fractal-Cx', cy: 'X-Fractal-Cy', zoom: 'X-Fractal-Zoom', jx: 'X-Fractal-Jx', jy: 'X-Fractal-Jy', power: 'X-Fractal-Power' };
+          Object.entries(echoed).forEach(([key, header]) => {
+            const value = res.headers.get(header);
+            if (value !== null) state[key] = Number(value);
+          });
+
+          if (imageUrl) URL.revokeObjectURL(imageUrl);
+          imageUrl = URL.createObjectURL(blob);
+          els.image.src = imageUrl;
+          els.image.style.transform = '';
+          els.download.href = imageUrl;
+          els.download.download = 'fractal-' + state.type + '-' + state.seed + '.png';
+
+          const permalink = new URL(location.pathname + '?' + params(), location.href).toString();
+          history.replaceState(null, '', permalink);
+          els.permalink.value = permalink;
+          syncControls();
+        } catch (err) {
+          if (current === request) setStatus(err.message, true);
+        } finally {
+          if (current === request) els.viewer.classList.remove('busy');
+        }
+      }
+
+      // Pixel position in the viewer to a point in the complex plane
+      function toComplex(clientX, clientY) {
+        const rect = els.viewer.getBoundingClientRect();
+        return {
+          x: state.cx + ((clientX - rect.left) / rect.width - 0.5) * state.zoom,
+          y: state.cy + ((clientY - rect.top) / rect.height - 0.5) * state.zoom
+        };
+      }
+
+      // Scale the view around a point, keeping that point under the pointer
+      function zoomAround(point, factor) {
+        state.cx = point.x + (state.cx - point.x) * factor;
+        state.cy = point.y + (state.cy - point.y) * factor;
+        state.zoom *= factor;
+        render();
+      }
+
+      let drag = null;
+      els.viewer.addEventListener('pointerdown', event => {
+        drag = { x: event.clientX, y: event.clientY, moved: false };
+        els.viewer.setPointerCapture(event.pointerId);
+      });
+      els.viewer.addEventListener('pointermove', event => {
+        if (!drag) return;
+        const dx = event.clientX - drag.x;
+        const dy = event.clientY - drag.y;
+        if (Math.abs(dx) + Math.abs(dy) > 4) drag.moved = true;
+        if (drag.moved) {
+          els.viewer.classList.add('dragging');
+          els.image.style.transform = 'translate(' + dx + 'px, ' + dy + 'px)';
+        }
+      });
+      els.viewer.addEventListener('pointerup', event => {
+        if (!drag) return;
+        const rect = els.viewer.getBoundingClientRect();
+        els.viewer.classList.remove('dragging');
+        if (drag.moved) {
+          state.cx -= (event.clientX - drag.x) / rect.width * state.zoom;
+          state.cy -= (event.clientY - drag.y) / rect.height * state.zoom;
+          render();
+        } else {
+          const point = toComplex(event.clientX, event.clientY);
+          state.cx = point.x;
+          state.cy = point.y;
+          state.zoom *= event.shiftKey ? 2 : 0.5;
+          render();
+        }
+        drag = null;
+      });
+      els.viewer.addEventListener('wheel', event => {
+        event.preventDefault();
+        zoomAround(toComplex(event.clientX, event.clientY), event.deltaY > 0 ? 1.25 : 0.8);
+      }, { passive: false });
+
+      els['zoom-in'].addEventListener('click', () => { state.zoom *= 0.5; render(); });
+      els['zoom-out'].addEventListener('click', () => { state.zoom *= 2; render(); });
+      els.reset.addEventListener('click', () => {
+        delete state.cx;
+        delete state.cy;
+        delete state.zoom;
+        render();
+      });
+
+      els.type.addEventListener('change', () => {
+        // Every type has its own default view and constants
+        state.type = els.type.value;
+        VIEW_PARAMS.forEach(key => { delete state[key]; });
+        render();
+      });
+      els.palette.addEventListener('change', () => { state.palette = els.palette.value; render(); });
+      els.coloring.addEventListener('change', () => { state.coloring = els.coloring.value; render(); });
+      els.iter.addEventListener('change', () => {
+        state.iter = Math.min(Math.max(Number(els.iter.value) || 200, 10), 800);
+        render();
+      });
+      ['jx', 'jy', 'power'].forEach(key => {
+        els[key].addEventListener('change', () => {
+          if (els[key].value === '') delete state[key];
+          else state[key] = Number(els[key].value);
+          render();
+        });
+      });
+
+      els.copy.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(els.permalink.value);
+          setStatus('Link copied.');
+        } catch {
+          els.permalink.select();
+          setStatus('Press Ctrl+C to copy the link.');
+        }
+      });
+
+      fillSelect(els.type, OPTIONS.types, state.type);
+      fillSelect(els.palette, OPTIONS.palettes, state.palette);
+      fillSelect(els.coloring, OPTIONS.colorings, state.coloring);
+      syncControls();
+      render();
+    })();
+  </script>
+</body>
+</html>`;
 }
 
 // handle the ndjson-to-json request
-// example: /ndjson-to-json?url=https://ntfy.sh/FdKwILjQxxHWZ26u/json?poll=1&since=1h
+// example: /ndjson-to-json?url=https://ntfy.sh/FdKwILjQxxHWZ26u/json%3Fpoll%3D1%26since%3D1h
 async function handleNdjsonRequest(request, env) {
 	const VALID_HOSTS_FOR_NDJSON_TO_JSON = env.ENABLE_IMAGE_GENERATION || "ntfy.sh,stuarteggerton.com";
 
 	// Create a URL object to access the query parameters
 	const url = new URL(request.url);
 
+	// select, where and sort need every record; limit on its own, and since, let the
+	// conversion stop before the end of a long feed
+	let query;
+	try {
+		query = parseQuery(url.searchParams);
+	} catch (error) {
+		return new Response(error.message, { status: 400 });
+	}
+	const buffered = needsDocument(query);
+	const sinceParam = url.searchParams.get('since');
+	const since = sinceParam !== null ? parseSince(sinceParam) : null;
+	if (Number.isNaN(since)) {
+		return new Response('Invalid since parameter - use Unix time, an ISO date or a duration like 12h', { status: 400 });
+	}
+	// lenient mode skips bad lines and lists them instead of failing the whole feed
+	const mode = url.searchParams.get('mode') || 'strict';
+	if (mode !== 'strict' && mode !== 'lenient') {
+		return new Response('Invalid mode parameter - use strict or lenient', { status: 400 });
+	}
+	// Only a feed declared newest-first may stop at the first record before since
+	const order = url.searchParams.get('order') || 'asc';
+	if (order !== 'asc' && order !== 'desc') {
+		return new Response('Invalid order parameter - use asc or desc', { status: 400 });
+	}
+	const options = {
+		limit: buffered ? Infinity : query.limit,
+		since,
+		timeField: url.searchParams.get('timefield') || 'time',
+		newestFirst: order === 'desc',
+		lenient: mode === 'lenient'
+	};
+
+	// A POST body is converted as is, no remote fetch needed
+	if (request.method === 'POST') {
+		const { text, error, status } = await readRequestText(request);
+		if (error) {
+			return new Response(error, { status });
+		}
+		return convertNdjson(new Blob([text]).stream(), options, buffered ? query : null);
+	}
+
 	// Look for a URL parameter named "url"
 	const urlParam = url.searchParams.get('url');
 
@@ -289,31 +1304,120 @@ async function handleNdjsonRequest(request, env) {
 		return new Response('Error fetching URL', { status: 400 });
 	}
 
-	// Convert the fetched response to text (NDJSON content)
-	const ndjsonText = await remoteResponse.text();
+	// Convert the remote body line by line as it arrives, never holding all of it
+	return convertNdjson(remoteResponse.body || new Blob([]).stream(), options, buffered ? query : null);
+}
 
-	// Split the NDJSON by newlines and parse each line as a JSON object
-	const ndjsonLines = ndjsonText.split('\n');
-	const jsonArray = [];
-	
-	for (const line of ndjsonLines) {
-		if (line.trim()) {
+// Output held back before a converted stream is committed to a 200 response
+const STREAM_HOLD_BYTES = 64 * 1024;
+
+async function convertNdjson(body, options, query) {
+	const reader = body.pipeThrough(ndjsonToJson(options)).getReader();
+	if (query) {
+		return queryNdjson(reader, query, options.lenient);
+	}
+
+	// Hold back the start of the output, so that errors in small inputs still get a
+	// 400 and small outputs go out in one piece
+	const held = [];
+	let heldBytes = 0;
+	try {
+		while (heldBytes < STREAM_HOLD_BYTES) {
+			const { value, done } = await reader.read();
+			if (done) {
+				return new Response(new Blob(held), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+			held.push(value);
+			heldBytes += value.length;
+		}
+	} catch (error) {
+		return new Response(error.message, { status: 400 });
+	}
+
+	// Past that point a bad line can only cut the response short; the error is
+	// written after the partial array, so the output is never mistaken for complete
+	const stream = new ReadableStream({
+		start(controller) {
+			for (const chunk of held) controller.enqueue(chunk);
+		},
+		async pull(controller) {
 			try {
-				const jsonObject = JSON.parse(line);
-				jsonArray.push(jsonObject);
+				const { value, done } = await reader.read();
+				if (done) {
+					controller.close();
+				} else {
+					controller.enqueue(value);
+				}
 			} catch (error) {
-				return new Response('Invalid NDJSON format', { status: 400 });
+				controller.enqueue(new TextEncoder().encode('\n' + JSON.stringify({ error: error.message })));
+				controller.close();
+			}
+		},
+		cancel(reason) {
+			return reader.cancel(reason);
+		}
+	});
+	return new Response(stream, {
+		headers: { 'Content-Type': 'application/json' }
+	});
+}
+
+// Collect the whole converted output, bounded like request bodies, and query it
+async function queryNdjson(reader, query, lenient) {
+	const chunks = [];
+	let size = 0;
+	try {
+		for (;;) {
+			const { value, done } = await reader.read();
+			if (done) {
+				break;
 			}
+			size += value.length;
+			if (size > MAX_BODY_BYTES) {
+				await reader.cancel();
+				return new Response('NDJSON too large to query - narrow it down with since', { status: 413 });
+			}
+			chunks.push(value);
 		}
+	} catch (error) {
+		return new Response(error.message, { status: 400 });
 	}
-	
-	return new Response(JSON.stringify(jsonArray), {
+
+	// In lenient mode the query runs on the items, and the errors are kept alongside
+	const converted = JSON.parse(await new Blob(chunks).text());
+	const result = lenient ? { items: applyQuery(converted.items, query), errors: converted.errors } : applyQuery(converted, query);
+	return new Response(JSON.stringify(result), {
 		headers: { 'Content-Type': 'application/json' }
 	});
 }
 
+// Hosts /xml-to-json and /csv-to-json may fetch a url parameter from
+const VALID_HOSTS_FOR_CONVERTERS = "api.irishrail.ie,stuarteggerton.com";
+
 async function handleXmlRequest(request, env) {
-	const VALID_HOSTS_FOR_XML_TO_JSON = "api.irishrail.ie,stuarteggerton.com";
+
+	// Parser settings and the query both come from the query string
+	const params = new URL(request.url).searchParams;
+	let query;
+	let parserOptions;
+	try {
+		query = parseQuery(params);
+		parserOptions = xmlParserOptions(params);
+	} catch (error) {
+		return new Response(error.message, { status: 400 });
+	}
+
+	// A POST body is converted as is, no remote fetch needed
+	if (request.method === 'POST') {
+		const { text, error, status } = await readRequestText(request);
+		if (error) {
+			return new Response(error, { status });
+		}
+		return convertXml(text, parserOptions, query);
+	}
+
 	const url = new URL(request.url);
 	// Get full URL from url parameter and extract everything after url=
 	const urlParam = decodeURIComponent(url.searchParams.toString().split('url=')[1]);
@@ -324,7 +1428,7 @@ async function handleXmlRequest(request, env) {
 
 	const urlObjXML = new URL(urlParam);
 	const hostnameXML = urlObjXML.hostname;
-	if (!VALID_HOSTS_FOR_XML_TO_JSON.split(',').includes(hostnameXML)) {
+	if (!VALID_HOSTS_FOR_CONVERTERS.split(',').includes(hostnameXML)) {
 		return new Response('Invalid hostname - limited hostnames allowed in url parameter', { status: 403 });
 	}
 
@@ -342,21 +1446,17 @@ async function handleXmlRequest(request, env) {
 		}
 
 
-		const xmlText = await remoteResponse.text();
+		return convertXml(await remoteResponse.text(), parserOptions, query);
+	} catch (error) {
+		return new Response('Invalid XML format: ' + error.message, { status: 400 });
+	}
+}
 
-		const parser = new XMLParser({
-			ignoreAttributes: false,
-			attributeNamePrefix: "@_",
-			textNodeName: "#text",
-			parseTagValue: true,
-			isArray: (name, jpath, isLeafNode, isAttribute) => {
-				// Return true if element has child nodes
-				// This ensures nested elements are properly handled as arrays
-				return !isLeafNode;
-			}
-		});
+function convertXml(xmlText, parserOptions, query) {
+	try {
+		const parser = new XMLParser(parserOptions);
 
-		const jsonResult = parser.parse(xmlText);
+		const jsonResult = applyQuery(parser.parse(xmlText), query);
 		return new Response(JSON.stringify(jsonResult), {
 			headers: { 'Content-Type': 'application/json' }
 		});
@@ -366,6 +1466,192 @@ async function handleXmlRequest(request, env) {
 	}
 }
 
+// Read a POSTed JSON body, or explain what went wrong
+async function readJsonBody(request) {
+	if (request.method !== 'POST') {
+		return { response: new Response('Method not allowed - POST the JSON to convert', { status: 405, headers: { 'Allow': 'POST' } }) };
+	}
+	const { text, error, status } = await readRequestText(request);
+	if (error) {
+		return { response: new Response(error, { status }) };
+	}
+	try {
+		return { value: JSON.parse(text) };
+	} catch (error) {
+		return { response: new Response('Invalid JSON format: ' + error.message, { status: 400 }) };
+	}
+}
+
+// Follow a dot path such as data.items or results.0.rows into parsed JSON
+function valueAtPath(value, path) {
+	for (const key of path.split('.')) {
+		value = value !== null && typeof value === 'object' ? value[key] : undefined;
+	}
+	return value;
+}
+
+// convert a JSON array to NDJSON, one element per line
+// example: POST /json-to-ndjson?path=data.items
+async function handleJsonToNdjsonRequest(request) {
+	const { value, response } = await readJsonBody(request);
+	if (response) {
+		return response;
+	}
+
+	// path picks a nested array to explode, e.g. data.items or results.0.rows
+	const path = new URL(request.url).searchParams.get('path');
+	const records = path ? valueAtPath(value, path) : value;
+	if (path && !Array.isArray(records)) {
+		return new Response(`Invalid path - ${path} is not an array`, { status: 400 });
+	}
+
+	// Anything other than an array is a single record
+	const lines = (Array.isArray(records) ? records : [records]).map(record => JSON.stringify(record) + '\n');
+	return new Response(lines.join(''), {
+		headers: { 'Content-Type': 'application/x-ndjson' }
+	});
+}
+
+// convert JSON to XML, reversing /xml-to-json
+// example: POST /json-to-xml?root=items&pretty=true
+async function handleJsonToXmlRequest(request) {
+	const { value, response } = await readJsonBody(request);
+	if (response) {
+		return response;
+	}
+
+	// XML needs a single root element, root wraps arrays and plain values in one,
+	// with every array element as an item child
+	const params = new URL(request.url).searchParams;
+	const root = params.get('root');
+	const item = params.get('item') || 'item';
+	for (const name of [root, item]) {
+		if (name !== null && !/^[A-Za-z_][\w.-]*$/.test(name)) {
+			return new Response(`Invalid element name - ${name}`, { status: 400 });
+		}
+	}
+	if (root === null && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+		return new Response('JSON must be an object to convert to XML - pass root=<name> to wrap it', { status: 400 });
+	}
+
+	const builder = new XMLBuilder({
+		...XML_NAMING,
+		// The parser reads on="true" as the string "true", so write it back the same way
+		suppressBooleanAttributes: false,
+		format: params.get('pretty') === 'true',
+		indentBy: '  '
+	});
+	const xmlTree = root === null ? value : { [root]: Array.isArray(value) ? { [item]: value } : value };
+	return new Response(builder.build(xmlTree), {
+		headers: { 'Content-Type': 'application/xml' }
+	});
+}
+
+// delimiter for the CSV endpoints: a single character, or tab for TSV
+function csvDelimiter(params) {
+	const delimiter = params.get('delimiter') || ',';
+	if (delimiter === 'tab' || delimiter === '\\t') {
+		return '\t';
+	}
+	return delimiter.length === 1 && !'"\r\n'.includes(delimiter) ? delimiter : null;
+}
+
+// handle the csv-to-json request
+// example: /csv-to-json?delimiter=tab&url=https://stuarteggerton.com/export.tsv
+async function handleCsvRequest(request, env) {
+	const url = new URL(request.url);
+	const delimiter = csvDelimiter(url.searchParams);
+	if (delimiter === null) {
+		return new Response('Invalid delimiter parameter - use a single character or tab', { status: 400 });
+	}
+	const options = {
+		delimiter,
+		header: url.searchParams.get('header') !== 'false',
+		inferTypes: url.searchParams.get('types') !== 'false'
+	};
+	let query;
+	try {
+		query = parseQuery(url.searchParams);
+	} catch (error) {
+		return new Response(error.message, { status: 400 });
+	}
+
+	// A POST body is converted as is, no remote fetch needed
+	if (request.method === 'POST') {
+		const { text, error, status } = await readRequestText(request);
+		if (error) {
+			return new Response(error, { status });
+		}
+		return convertCsv(text, options, query);
+	}
+
+	const urlParam = url.searchParams.get('url');
+	if (!urlParam) {
+		return new Response('URL parameter is required', { status: 400 });
+	}
+
+	let hostname;
+	try {
+		hostname = new URL(urlParam).hostname;
+	} catch (error) {
+		return new Response('Invalid url parameter - expected an absolute URL', { status: 400 });
+	}
+	if (!VALID_HOSTS_FOR_CONVERTERS.split(',').includes(hostname)) {
+		return new Response('Invalid hostname - limited hostnames allowed in url parameter', { status: 403 });
+	}
+
+	let remoteResponse;
+	try {
+		remoteResponse = await fetch(urlParam);
+	} catch (error) {
+		return new Response('Error fetching URL', { status: 400 });
+	}
+	if (!remoteResponse.ok) {
+		return new Response('Error fetching URL ' + urlParam, { status: 400 });
+	}
+	return convertCsv(await remoteResponse.text(), options, query);
+}
+
+function convertCsv(csvText, options, query) {
+	let records;
+	try {
+		records = parseCsv(csvText, options);
+	} catch (error) {
+		return new Response('Invalid CSV format - ' + error.message, { status: 400 });
+	}
+	return new Response(JSON.stringify(applyQuery(records, query)), {
+		headers: { 'Content-Type': 'application/json' }
+	});
+}
+
+// convert JSON records to CSV, reversing /csv-to-json
+// example: POST /json-to-csv?path=data.items&delimiter=tab
+async function handleJsonToCsvRequest(request) {
+	const { value, response } = await readJsonBody(request);
+	if (response) {
+		return response;
+	}
+
+	const params = new URL(request.url).searchParams;
+	const delimiter = csvDelimiter(params);
+	if (delimiter === null) {
+		return new Response('Invalid delimiter parameter - use a single character or tab', { status: 400 });
+	}
+
+	// path picks a nested array of records, as for /json-to-ndjson
+	const path = params.get('path');
+	const records = path ? valueAtPath(value, path) : value;
+	if (path && !Array.isArray(records)) {
+		return new Response(`Invalid path - ${path} is not an array`, { status: 400 });
+	}
+
+	// Anything other than an array is a single record
+	const csv = toCsv(Array.isArray(records) ? records : [records], { delimiter, header: params.get('header') !== 'false' });
+	return new Response(csv, {
+		headers: { 'Content-Type': delimiter === '\t' ? 'text/tab-separated-values; charset=utf-8' : 'text/csv; charset=utf-8' }
+	});
+}
+
 async function handleCreatePollRequest(request, env, resource) {
 	try {
 		const params = await request.json();
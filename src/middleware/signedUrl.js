@@ -0,0 +1,81 @@
+import { hmacHex } from './validateApiKey';
+
+/**
+ * Signed URL Middleware
+ * 
+ * A signed URL carries an `expires` parameter (Unix time in seconds) and a `sig`
+ * parameter: the HMAC-SHA256 of the path and every other query parameter, keyed
+ * with the full MASTER_KEY. Parameters are sorted before signing, so their order
+ * in the URL does not matter, but adding, removing or changing any of them
+ * invalidates the signature.
+ */
+
+// Hex characters of the HMAC kept in the URL (128 bits)
+const SIGNATURE_LENGTH = 32;
+
+// The exact text that is signed for a path and its parameters, without `sig`
+function canonicalMessage(pathname, params) {
+    const entries = [...params].filter(([name]) => name !== 'sig');
+    entries.sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0));
+    return `${pathname}?${new URLSearchParams(entries)}`;
+}
+
+// Compare two strings in time that depends only on their length, not on where they differ
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+/**
+ * Add `expires` and `sig` to a URL
+ * 
+ * @param {URL} url - URL to sign, any existing `expires` and `sig` are replaced
+ * @param {number} expires - Expiry as Unix time in seconds
+ * @param {Object} env - Environment variables
+ * @returns {Promise<URL>} - The signed URL
+ */
+export async function signUrl(url, expires, env) {
+    if (!env.MASTER_KEY) {
+        throw new Error('Server configuration error: MASTER_KEY is not set');
+    }
+    const signed = new URL(url);
+    signed.searchParams.delete('sig');
+    signed.searchParams.set('expires', expires.toString());
+    const signature = await hmacHex(env.MASTER_KEY, canonicalMessage(signed.pathname, signed.searchParams));
+    signed.searchParams.set('sig', signature.slice(0, SIGNATURE_LENGTH));
+    return signed;
+}
+
+/**
+ * Check the signature and expiry of a signed URL
+ * 
+ * @param {URL} url - Incoming request URL
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - { valid: boolean, error: string, expires: number }
+ */
+export async function verifySignedUrl(url, env) {
+    if (!env.MASTER_KEY) {
+        console.error('MASTER_KEY environment variable is not set, signed URLs cannot be checked');
+        return { valid: false, error: 'Server configuration error: signed URLs are not configured' };
+    }
+
+    const expiresParam = url.searchParams.get('expires');
+    const expires = Number(expiresParam);
+    if (!expiresParam || !Number.isInteger(expires)) {
+        return { valid: false, error: 'Missing or invalid expires parameter' };
+    }
+    if (expires * 1000 < Date.now()) {
+        return { valid: false, error: 'URL has expired' };
+    }
+
+    const expected = (await hmacHex(env.MASTER_KEY, canonicalMessage(url.pathname, url.searchParams))).slice(0, SIGNATURE_LENGTH);
+    if (!constantTimeEqual(url.searchParams.get('sig') ?? '', expected)) {
+        return { valid: false, error: 'Signature does not match' };
+    }
+
+    return { valid: true, expires };
+}
@@ -1,5 +1,27 @@
 import { DateTime } from 'luxon';
 
+/**
+ * HMAC-SHA256 of a message as lowercase hex
+ * 
+ * @param {string} secret - Signing key
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>} - 64 hex characters
+ */
+export async function hmacHex(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+    return Array.from(new Uint8Array(signature))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
 /**
  * API Key Validation Middleware
  * 
@@ -83,28 +105,7 @@ export async function validateApiKey(request, env) {
         const keyContent = hasResource
             ? `${prefix}_${random}_${expiry}_${resource}`
             : `${prefix}_${random}_${expiry}`;
-        const encoder = new TextEncoder();
-        const keyData = encoder.encode(env.MASTER_KEY.slice(0, 3));
-        const messageData = encoder.encode(keyContent);
-        
-        const key = await crypto.subtle.importKey(
-            'raw',
-            keyData,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        );
-        
-        const signature = await crypto.subtle.sign(
-            'HMAC',
-            key,
-            messageData
-        );
-        
-        const expectedSignature = Array.from(new Uint8Array(signature))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('')
-            .slice(0, 8);
+        const expectedSignature = (await hmacHex(env.MASTER_KEY.slice(0, 3), keyContent)).slice(0, 8);
         
         if (expectedSignature !== providedSignature) {
             return {
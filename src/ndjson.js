@@ -0,0 +1,176 @@
+/**
+ * Streaming NDJSON to JSON conversion
+ *
+ * Upstream feeds can be much larger than Worker memory, so the conversion runs as
+ * a TransformStream: bytes go in, complete lines are parsed one at a time, and the
+ * JSON array comes out element by element. Only the current line is ever held.
+ *
+ * Options:
+ * - limit: Stop after this many records; the upstream body is cancelled
+ * - since: Skip records whose timestamp is before this (Unix seconds)
+ * - timeField: Record field holding the timestamp (default: 'time', as in ntfy)
+ * - newestFirst: The feed is in descending time order, so reading stops at the
+ *   first record older than `since`, since everything after it is older still
+ * - lenient: Skip lines that are not valid JSON and report them after the records
+ *
+ * Without newestFirst, records before `since` are skipped and the rest of the feed
+ * is still read, so feeds that are only roughly in order lose nothing.
+ */
+
+const encoder = new TextEncoder();
+
+const SINCE_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parse a `since` cut-off: Unix seconds (or milliseconds), an ISO 8601 date, or
+ * a duration back from now such as 30m, 12h or 7d
+ *
+ * @param {string} text - Cut-off as given in the query string
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Unix seconds, NaN if the text is not understood
+ */
+export function parseSince(text, now = Date.now()) {
+    const duration = /^(\d+)([smhd])$/.exec(text);
+    if (duration) {
+        return Math.floor(now / 1000) - parseInt(duration[1]) * SINCE_UNITS[duration[2]];
+    }
+    if (/^\d+$/.test(text)) {
+        return toSeconds(parseInt(text));
+    }
+    return /^\d{4}-\d{2}-\d{2}/.test(text) ? Date.parse(text) / 1000 : NaN;
+}
+
+// Timestamps above this are taken to be milliseconds
+const MILLISECOND_THRESHOLD = 1e11;
+
+function toSeconds(value) {
+    return value > MILLISECOND_THRESHOLD ? value / 1000 : value;
+}
+
+// Timestamp of a record in Unix seconds, null when it has none
+function recordTime(record, timeField) {
+    const value = record !== null && typeof record === 'object' ? record[timeField] : undefined;
+    if (typeof value === 'number') return toSeconds(value);
+    if (typeof value === 'string' && value !== '') {
+        const parsed = /^\d+$/.test(value) ? toSeconds(parseInt(value)) : Date.parse(value) / 1000;
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+}
+
+// Lenient mode lists at most this many bad lines
+const MAX_REPORTED_ERRORS = 100;
+
+// Characters of a bad line shown around the error
+const SNIPPET_LENGTH = 40;
+
+/**
+ * 1-based column where JSON.parse gave up on a line, null if it cannot be told
+ *
+ * V8 includes the position in most messages. It leaves it out for an unexpected
+ * token, which must sit outside any string, so the first such character outside a
+ * string is the one it stopped at.
+ */
+function errorColumn(line, message) {
+    const position = /at position (\d+)/.exec(message);
+    if (position) return parseInt(position[1]) + 1;
+    if (message.startsWith('Unexpected end of JSON input')) return line.length + 1;
+
+    const token = /^Unexpected token '(.)'/u.exec(message);
+    if (!token) return null;
+    let inString = false;
+    for (let i = 0; i < line.length; i++) {
+        if (inString) {
+            if (line[i] === '\\') i++;
+            else if (line[i] === '"') inString = false;
+        } else if (line[i] === '"') {
+            inString = true;
+        } else if (line[i] === token[1]) {
+            return i + 1;
+        }
+    }
+    return null;
+}
+
+// Where and why a line failed to parse
+function describeLineError(line, lineNumber, error) {
+    const text = line.replace(/\r$/, '');
+    const column = errorColumn(text, error.message);
+    const start = column === null ? 0 : Math.max(0, column - 1 - SNIPPET_LENGTH / 2);
+    return { line: lineNumber, column, snippet: text.slice(start, start + SNIPPET_LENGTH), message: error.message };
+}
+
+/**
+ * TransformStream from NDJSON bytes to the bytes of a JSON array
+ *
+ * A line that is not valid JSON errors the stream with its line and column. In
+ * lenient mode such lines are skipped instead and the output is an object,
+ * { items, errors }, listing each one as { line, column, snippet, message }.
+ *
+ * @param {Object} options - { limit, since, timeField, newestFirst, lenient }, see above
+ * @returns {TransformStream<Uint8Array, Uint8Array>}
+ */
+export function ndjsonToJson({ limit = Infinity, since = null, timeField = 'time', newestFirst = false, lenient = false } = {}) {
+    const decoder = new TextDecoder();
+    const errors = [];
+    let pending = '';
+    let lineNumber = 0;
+    let count = 0;
+    let finished = false;
+
+    // Emit one line's record, returns false once no more records are wanted
+    const handleLine = (line, controller) => {
+        lineNumber++;
+        if (!line.trim()) return true;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            const lineError = describeLineError(line, lineNumber, error);
+            if (!lenient) {
+                const column = lineError.column !== null ? `, column ${lineError.column}` : '';
+                throw new Error(`Invalid NDJSON format - line ${lineNumber}${column}: ${lineError.message}`);
+            }
+            if (errors.length < MAX_REPORTED_ERRORS) errors.push(lineError);
+            return true;
+        }
+
+        const time = since !== null ? recordTime(record, timeField) : null;
+        if (time !== null && time < since) return !newestFirst;
+
+        const opening = lenient ? '{"items":[' : '[';
+        controller.enqueue(encoder.encode((count === 0 ? opening : ',') + JSON.stringify(record)));
+        count++;
+        return count < limit;
+    };
+
+    const closeArray = (controller) => {
+        finished = true;
+        const opening = count === 0 ? (lenient ? '{"items":[' : '[') : '';
+        controller.enqueue(encoder.encode(opening + ']' + (lenient ? `,"errors":${JSON.stringify(errors)}}` : '')));
+    };
+
+    return new TransformStream({
+        transform(chunk, controller) {
+            if (finished) return;
+            pending += decoder.decode(chunk, { stream: true });
+            const lines = pending.split('\n');
+            pending = lines.pop();
+            for (const line of lines) {
+                if (!handleLine(line, controller)) {
+                    // Terminating also cancels whatever is still upstream
+                    closeArray(controller);
+                    controller.terminate();
+                    return;
+                }
+            }
+        },
+        flush(controller) {
+            if (finished) return;
+            pending += decoder.decode();
+            if (pending) handleLine(pending, controller);
+            closeArray(controller);
+        }
+    });
+}
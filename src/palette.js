@@ -0,0 +1,96 @@
+/**
+ * Color palette module for fractal images
+ *
+ * This module turns the 0-255 values produced by generateFractal into colors.
+ * A palette is a 256-entry RGB lookup table, so the encoders can keep writing
+ * one byte per pixel and store the table alongside the image (indexed color).
+ *
+ * Supported palettes:
+ * - gray: Plain grayscale ramp (default, matches the original output)
+ * - fire: Black through red and orange to white
+ * - ocean: Deep navy through blue and cyan to white
+ * - viridis: Perceptually uniform purple-green-yellow ramp
+ * - rainbow: Full hue sweep
+ * - Custom stops: Two or more comma separated hex colors, e.g. "000000,ff8800,ffffff"
+ *
+ * Index 0 is used for points inside the set, so it always takes the first stop.
+ */
+
+const GRADIENTS = {
+    gray: ['000000', 'ffffff'],
+    fire: ['000000', '7a0000', 'd62000', 'ff8c00', 'ffd700', 'ffffff'],
+    ocean: ['000814', '001d3d', '003566', '0077b6', '00b4d8', '90e0ef', 'ffffff'],
+    viridis: ['440154', '482777', '3e4989', '31688e', '26828e', '1f9e89', '35b779', '6ece58', 'b5de2b', 'fde725'],
+};
+
+export const PALETTE_NAMES = [...Object.keys(GRADIENTS), 'rainbow'];
+
+function parseHexColor(hex) {
+    const value = hex.trim().replace(/^#/, '');
+    if (!/^[0-9a-fA-F]{6}$/.test(value)) {
+        return null;
+    }
+    return [
+        parseInt(value.slice(0, 2), 16),
+        parseInt(value.slice(2, 4), 16),
+        parseInt(value.slice(4, 6), 16),
+    ];
+}
+
+function hsvToRgb(h, s, v) {
+    const i = Math.floor(h * 6) % 6;
+    const f = h * 6 - Math.floor(h * 6);
+    const p = v * (1 - s);
+    const q = v * (1 - f * s);
+    const t = v * (1 - (1 - f) * s);
+    const [r, g, b] = [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][i];
+    return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+}
+
+function interpolateStops(stops) {
+    const table = new Uint8Array(256 * 3);
+    const segments = stops.length - 1;
+    for (let i = 0; i < 256; i++) {
+        const position = (i / 255) * segments;
+        const index = Math.min(Math.floor(position), segments - 1);
+        const t = position - index;
+        const from = stops[index];
+        const to = stops[index + 1];
+        for (let c = 0; c < 3; c++) {
+            table[i * 3 + c] = Math.round(from[c] + (to[c] - from[c]) * t);
+        }
+    }
+    return table;
+}
+
+/**
+ * Build a palette lookup table
+ *
+ * @param {string} spec - Palette name or comma separated hex color stops
+ * @returns {Uint8Array|null} - 768 bytes (256 RGB triplets), or null if the spec is not recognised
+ */
+export function createPalette(spec) {
+    const name = (spec || 'gray').trim().toLowerCase();
+
+    if (name === 'grey' || name === 'grayscale') {
+        return createPalette('gray');
+    }
+
+    if (GRADIENTS[name]) {
+        return interpolateStops(GRADIENTS[name].map(parseHexColor));
+    }
+
+    if (name === 'rainbow') {
+        const table = new Uint8Array(256 * 3);
+        for (let i = 1; i < 256; i++) {
+            table.set(hsvToRgb((i - 1) / 255, 0.85, 1), i * 3);
+        }
+        return table;
+    }
+
+    const stops = name.split(',').map(parseHexColor);
+    if (stops.length < 2 || stops.some(stop => stop === null)) {
+        return null;
+    }
+    return interpolateStops(stops);
+}
@@ -0,0 +1,284 @@
+/**
+ * Query layer for converter output: select, where, sort and limit
+ *
+ * Runs on the JSON a converter produced, before it is serialised:
+ * 1. A select expression starting with $ picks the records from the document;
+ *    without one the records are the elements of a top-level array, or the
+ *    document itself
+ * 2. where keeps the records matching every condition
+ * 3. sort orders them by one or more fields
+ * 4. limit keeps the first n
+ * 5. The other select expressions pick the fields written for each record
+ *
+ * Paths are a JSONPath subset: $, .name, ['name'], [n] (negative counts from the
+ * end), [*], .* and ..name (recursive descent). Field paths are relative to the
+ * record, so user.name stands for $.user.name. A path with a wildcard or recursive
+ * descent yields the array of everything it matches.
+ */
+
+// Operators for where conditions, longest first so >= is not read as >
+const OPERATORS = ['!=', '~=', '>=', '<=', '=', '>', '<'];
+
+// One step of a path: optional . or .., then a name, * or a bracketed index, * or quoted name
+const STEP_PATTERN = /^(\.\.?)?(?:(\*)|([^.[\]\s*'"][^.[\]\s]*)|\[(?:(\*)|(-?\d+)|'([^']*)'|"([^"]*)")\])/;
+
+/**
+ * Parse a path into the steps walked by evaluatePath
+ *
+ * @param {string} text - JSONPath starting with $, or a path relative to a record
+ * @returns {Object} - { text, steps: [{ descendant, key }], single }, key null for *
+ * @throws {Error} - When the path is not in the supported subset
+ */
+function parsePath(text) {
+    const source = text.startsWith('$') ? text.slice(1) : text.startsWith('[') ? text : '.' + text;
+    const steps = [];
+    let rest = source;
+    while (rest !== '') {
+        const match = STEP_PATTERN.exec(rest);
+        // Names need a dot in front, brackets must not have a single dot in front
+        if (match === null || (match[3] !== undefined && match[1] === undefined) || (rest[0] === '.' && rest[1] === '[')) {
+            throw new Error(`${text} is not a supported path`);
+        }
+        const [, prefix, star, name, bracketStar, index, singleQuoted, doubleQuoted] = match;
+        let key = name ?? singleQuoted ?? doubleQuoted ?? null;
+        if (index !== undefined) key = parseInt(index);
+        if (star !== undefined || bracketStar !== undefined) key = null;
+        steps.push({ descendant: prefix === '..', key });
+        rest = rest.slice(match[0].length);
+    }
+    return { text, steps, single: steps.every(step => !step.descendant && step.key !== null) };
+}
+
+// Add the children of a node selected by one step's key to out
+function addChildren(node, key, out) {
+    if (node === null || typeof node !== 'object') return;
+    if (key === null) {
+        out.push(...Object.values(node));
+    } else if (typeof key === 'number') {
+        if (!Array.isArray(node)) return;
+        const index = key < 0 ? node.length + key : key;
+        if (index >= 0 && index < node.length) out.push(node[index]);
+    } else if (Object.hasOwn(node, key)) {
+        out.push(node[key]);
+    }
+}
+
+// A node followed by every object and array nested in it, in document order
+function addDescendants(node, out) {
+    if (node === null || typeof node !== 'object') return;
+    out.push(node);
+    for (const child of Object.values(node)) addDescendants(child, out);
+}
+
+/**
+ * Every value a parsed path matches, in document order
+ *
+ * @param {*} root - Document or record the path starts from
+ * @param {Object} path - Path from parsePath
+ * @returns {Array}
+ */
+function evaluatePath(root, path) {
+    let nodes = [root];
+    for (const { descendant, key } of path.steps) {
+        const next = [];
+        for (const node of nodes) {
+            const targets = [];
+            if (descendant) addDescendants(node, targets);
+            else targets.push(node);
+            for (const target of targets) addChildren(target, key, next);
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+// Value of a field path in a record: the match itself, or all matches for wildcards
+function fieldValue(record, path) {
+    const matches = evaluatePath(record, path);
+    return path.single ? matches[0] : matches;
+}
+
+// Split a select list at commas outside brackets and quotes
+function splitExpressions(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start).trim());
+    return parts;
+}
+
+// Parse a where condition such as status=active, name~=smith or price>=10
+function parseCondition(text) {
+    const position = text.search(/[!~<>=]/);
+    const operator = position > 0 ? OPERATORS.find(candidate => text.startsWith(candidate, position)) : undefined;
+    if (operator === undefined) {
+        throw new Error(`Invalid where parameter - ${text} needs a field, an operator (=, !=, ~=, <, <=, >, >=) and a value`);
+    }
+    let path;
+    try {
+        path = parsePath(text.slice(0, position));
+    } catch (error) {
+        throw new Error('Invalid where parameter - ' + error.message);
+    }
+    return { path, operator, value: text.slice(position + operator.length) };
+}
+
+// Check one value against a condition; numbers compare as numbers, everything else as text
+function testValue(value, operator, expected) {
+    if (value === undefined) return false;
+    if (operator === '=') return String(value) === expected;
+    if (operator === '~=') return typeof value !== 'object' && String(value).includes(expected);
+
+    const number = Number(expected);
+    const numeric = expected !== '' && Number.isFinite(number) &&
+        (typeof value === 'number' || (typeof value === 'string' && value !== '' && Number.isFinite(Number(value))));
+    if (!numeric && typeof value !== 'string') return false;
+    const order = numeric ? Number(value) - number : (value < expected ? -1 : value > expected ? 1 : 0);
+    return operator === '>' ? order > 0 : operator === '>=' ? order >= 0 : operator === '<' ? order < 0 : order <= 0;
+}
+
+// A field with several matches meets a condition when any of them does
+function matchesCondition(record, { path, operator, value }) {
+    const found = fieldValue(record, path);
+    const values = path.single ? [found] : found;
+    if (operator === '!=') return !values.some(item => testValue(item, '=', value));
+    return values.some(item => testValue(item, operator, value));
+}
+
+// Sort order for two field values: numbers before text, missing values last either way
+function compareValues(a, b, descending) {
+    const missingA = a === undefined || a === null;
+    const missingB = b === undefined || b === null;
+    if (missingA || missingB) return missingA - missingB;
+
+    let order;
+    if (typeof a === 'number' && typeof b === 'number') {
+        order = a - b;
+    } else if (typeof a === 'number' || typeof b === 'number') {
+        order = typeof a === 'number' ? -1 : 1;
+    } else {
+        const textA = typeof a === 'object' ? JSON.stringify(a) : String(a);
+        const textB = typeof b === 'object' ? JSON.stringify(b) : String(b);
+        order = textA < textB ? -1 : textA > textB ? 1 : 0;
+    }
+    return descending ? -order : order;
+}
+
+/**
+ * Read select, where, sort and limit from query parameters
+ *
+ * where may be repeated; every condition must hold. sort takes comma separated
+ * fields, each prefixed with - for descending order.
+ *
+ * @param {URLSearchParams} params - Request query parameters
+ * @returns {Object} - { records, fields, where, sort, limit }
+ * @throws {Error} - With a message suitable for a 400 response
+ */
+export function parseQuery(params) {
+    const query = { records: null, fields: null, where: [], sort: [], limit: Infinity };
+
+    const select = params.get('select');
+    if (select) {
+        for (const expression of splitExpressions(select)) {
+            let path;
+            try {
+                path = parsePath(expression);
+            } catch (error) {
+                throw new Error('Invalid select parameter - ' + error.message);
+            }
+            if (!expression.startsWith('$')) {
+                (query.fields ??= []).push(path);
+            } else if (query.records === null) {
+                query.records = path;
+            } else {
+                throw new Error('Invalid select parameter - only one $ path can pick the records');
+            }
+        }
+    }
+
+    for (const condition of params.getAll('where')) {
+        query.where.push(parseCondition(condition));
+    }
+
+    const sort = params.get('sort');
+    if (sort) {
+        for (const field of sort.split(',')) {
+            const descending = field.startsWith('-');
+            try {
+                query.sort.push({ path: parsePath(descending ? field.slice(1) : field), descending });
+            } catch (error) {
+                throw new Error('Invalid sort parameter - ' + error.message);
+            }
+        }
+    }
+
+    const limit = params.get('limit');
+    if (limit !== null) {
+        query.limit = parseInt(limit);
+        if (!(query.limit >= 1)) {
+            throw new Error('Invalid limit parameter - expected a positive number');
+        }
+    }
+    return query;
+}
+
+/**
+ * Check whether a query needs the whole document, rather than only cutting a
+ * stream of records short
+ *
+ * @param {Object} query - Query from parseQuery
+ * @returns {boolean}
+ */
+export function needsDocument(query) {
+    return query.records !== null || query.fields !== null || query.where.length > 0 || query.sort.length > 0;
+}
+
+/**
+ * Apply a query to a converted document
+ *
+ * @param {*} document - Converter output
+ * @param {Object} query - Query from parseQuery
+ * @returns {*} - The document unchanged for an empty query, or a bare limit on a
+ *     document that is not an array; otherwise an array of records
+ */
+export function applyQuery(document, query) {
+    // limit on its own only shortens arrays, any other document is left as it is
+    if (!needsDocument(query) && (query.limit === Infinity || !Array.isArray(document))) return document;
+
+    let records = query.records !== null ? evaluatePath(document, query.records) : Array.isArray(document) ? document : [document];
+    if (query.where.length > 0) {
+        records = records.filter(record => query.where.every(condition => matchesCondition(record, condition)));
+    }
+    if (query.sort.length > 0) {
+        records = [...records].sort((a, b) => {
+            for (const { path, descending } of query.sort) {
+                const order = compareValues(fieldValue(a, path), fieldValue(b, path), descending);
+                if (order !== 0) return order;
+            }
+            return 0;
+        });
+    }
+    if (records.length > query.limit) {
+        records = records.slice(0, query.limit);
+    }
+    if (query.fields !== null) {
+        records = records.map(record => Object.fromEntries(query.fields.map(path => [path.text, fieldValue(record, path) ?? null])));
+    }
+    return records;
+}
@@ -0,0 +1,88 @@
+/**
+ * Request body reading for the converter endpoints
+ *
+ * Bodies may be sent as:
+ * - Raw text (any content type other than multipart)
+ * - multipart/form-data with the content in a `file` field (or the first field)
+ * - gzip, either as Content-Encoding or as a gzipped upload; detected from the
+ *   gzip magic bytes, so it works whether or not the runtime already inflated it
+ *
+ * The size limit applies both before and after decompression.
+ */
+
+// Largest body, compressed or not, that a converter will read
+export const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// Read a byte stream to the end, or give up with null once it passes maxBytes
+async function readAll(stream, maxBytes) {
+    const reader = stream.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        size += value.length;
+        if (size > maxBytes) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return bytes;
+}
+
+/**
+ * Read the body of a request as text
+ *
+ * @param {Request} request - Incoming request
+ * @param {number} maxBytes - Size limit (default: MAX_BODY_BYTES)
+ * @returns {Promise<Object>} - { text } or { error, status } with a 400 or 413 status
+ */
+export async function readRequestText(request, maxBytes = MAX_BODY_BYTES) {
+    const tooLarge = { error: `Request body too large - limit is ${maxBytes} bytes`, status: 413 };
+    if (parseInt(request.headers.get('Content-Length')) > maxBytes) {
+        return tooLarge;
+    }
+
+    let stream = request.body;
+    const contentType = request.headers.get('Content-Type') || '';
+    if (contentType.startsWith('multipart/form-data')) {
+        // Counted like a raw body first, since chunked uploads have no Content-Length
+        const raw = stream ? await readAll(stream, maxBytes) : new Uint8Array(0);
+        if (raw === null) {
+            return tooLarge;
+        }
+        let form;
+        try {
+            form = await new Response(raw, { headers: { 'Content-Type': contentType } }).formData();
+        } catch (error) {
+            return { error: 'Invalid multipart body', status: 400 };
+        }
+        const upload = form.get('file') ?? form.values().next().value;
+        if (upload === undefined) {
+            return { error: 'Multipart body has no fields', status: 400 };
+        }
+        stream = new Blob([upload]).stream();
+    }
+    let bytes = stream ? await readAll(stream, maxBytes) : new Uint8Array(0);
+    if (bytes !== null && bytes[0] === 0x1F && bytes[1] === 0x8B) {
+        try {
+            bytes = await readAll(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip')), maxBytes);
+        } catch (error) {
+            return { error: 'Invalid gzip data', status: 400 };
+        }
+    }
+    if (bytes === null) {
+        return tooLarge;
+    }
+    if (bytes.length === 0) {
+        return { error: 'Request body is required', status: 400 };
+    }
+    return { text: new TextDecoder().decode(bytes) };
+}
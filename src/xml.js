@@ -0,0 +1,105 @@
+/**
+ * XML parser settings for /xml-to-json
+ *
+ * Presets:
+ * - default: Attributes as @_name, text as #text, every element with children in
+ *   an array, numbers and booleans parsed, CDATA merged into the text
+ * - simple: Attributes without a prefix, namespace prefixes stripped, arrays only
+ *   where an element repeats
+ * - raw: Every element in an array, all text kept as strings, CDATA kept apart
+ *   as #cdata
+ *
+ * Query parameters override single settings of the preset:
+ * - attrprefix: Prefix for attribute names, may be empty
+ * - attributes: 'false' drops attributes
+ * - stripns: 'true' removes namespace prefixes and xmlns attributes
+ * - arrays: Comma separated elements always put in arrays, by name (item) or by
+ *   path from the root element (feed.entry)
+ * - numbers, booleans: 'false' keeps such element text as strings
+ * - cdata: 'text' merges CDATA into the element text, 'keep' puts it in #cdata
+ */
+
+// Attribute and text naming shared by /xml-to-json and /json-to-xml, so XML survives a round trip
+export const XML_NAMING = {
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    textNodeName: '#text'
+};
+
+const CDATA_NAME = '#cdata';
+
+// arrays: 'nested' wraps elements with children, 'all' wraps every element, 'repeated' only repeats
+const PRESETS = {
+    default: { attributePrefix: '@_', attributes: true, stripNamespaces: false, arrays: 'nested', numbers: true, booleans: true, cdata: 'text' },
+    simple: { attributePrefix: '', attributes: true, stripNamespaces: true, arrays: 'repeated', numbers: true, booleans: true, cdata: 'text' },
+    raw: { attributePrefix: '@_', attributes: true, stripNamespaces: false, arrays: 'all', numbers: false, booleans: false, cdata: 'keep' }
+};
+
+export const XML_PRESET_NAMES = Object.keys(PRESETS);
+
+const CDATA_MODES = ['text', 'keep'];
+
+// Read a true/false parameter, undefined when absent
+function readBoolean(params, name) {
+    const value = params.get(name);
+    if (value === null) return undefined;
+    if (value !== 'true' && value !== 'false') {
+        throw new Error(`Invalid ${name} parameter - expected true or false`);
+    }
+    return value === 'true';
+}
+
+/**
+ * Build XMLParser options from a preset and query parameter overrides
+ *
+ * @param {URLSearchParams} params - Request query parameters
+ * @returns {Object} - Options for fast-xml-parser's XMLParser
+ * @throws {Error} - With a message suitable for a 400 response
+ */
+export function xmlParserOptions(params) {
+    const presetName = params.get('preset') || 'default';
+    if (!Object.hasOwn(PRESETS, presetName)) {
+        throw new Error(`Invalid preset parameter - use one of ${XML_PRESET_NAMES.join(', ')}`);
+    }
+    const settings = { ...PRESETS[presetName] };
+
+    const attributePrefix = params.get('attrprefix');
+    if (attributePrefix !== null) settings.attributePrefix = attributePrefix;
+    for (const [name, key] of [['attributes', 'attributes'], ['stripns', 'stripNamespaces'], ['numbers', 'numbers'], ['booleans', 'booleans']]) {
+        const value = readBoolean(params, name);
+        if (value !== undefined) settings[key] = value;
+    }
+    const cdata = params.get('cdata');
+    if (cdata !== null) {
+        if (!CDATA_MODES.includes(cdata)) {
+            throw new Error(`Invalid cdata parameter - use one of ${CDATA_MODES.join(', ')}`);
+        }
+        settings.cdata = cdata;
+    }
+
+    // Names match an element anywhere, dotted paths only from the root
+    const arrayPaths = (params.get('arrays') || '').split(',').filter(Boolean);
+    const forced = (name, jpath) => arrayPaths.some(path => (path.includes('.') ? path === jpath : path === name));
+
+    const { numbers, booleans } = settings;
+    return {
+        ...XML_NAMING,
+        ignoreAttributes: !settings.attributes,
+        attributeNamePrefix: settings.attributePrefix,
+        removeNSPrefix: settings.stripNamespaces,
+        cdataPropName: settings.cdata === 'keep' ? CDATA_NAME : false,
+        parseTagValue: numbers || booleans,
+        // The parser reads numbers and booleans together; returning null leaves a value as text
+        tagValueProcessor: (name, value) => {
+            const trimmed = value.trim();
+            const parse = trimmed === 'true' || trimmed === 'false' ? booleans : numbers;
+            return parse ? value : null;
+        },
+        isArray: (name, jpath, isLeafNode, isAttribute) => {
+            // Attributes, CDATA and the <?xml ?> declaration are never wrapped
+            if (isAttribute || name === CDATA_NAME || name.startsWith('?')) return false;
+            if (forced(name, jpath)) return true;
+            return settings.arrays === 'all' || (settings.arrays === 'nested' && !isLeafNode);
+        }
+    };
+}
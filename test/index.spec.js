@@ -1,21 +1,23 @@
 import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
+import { hmacHex } from '../src/middleware/validateApiKey';
+import { readRequestText } from '../src/requestBody';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
+describe('Root page', () => {
+	it('responds with the access restricted page (unit style)', async () => {
 		const request = new Request('http://example.com');
 		// Create an empty context to pass to `worker.fetch()`.
 		const ctx = createExecutionContext();
 		const response = await worker.fetch(request, env, ctx);
 		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
 		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		expect(await response.text()).toContain('<title>Access Restricted</title>');
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
+	it('responds with the access restricted page (integration style)', async () => {
 		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		expect(await response.text()).toContain('<title>Access Restricted</title>');
 	});
 });
 
@@ -38,6 +40,269 @@ describe('Fractal Worker', () => {
 		expect(response.headers.get('Content-Type')).toBe('image/png');
 	});
 
+	it('should generate compressed PNG at full size', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=800&height=600&bmp=false');
+		const view = new DataView(await response.arrayBuffer());
+		expect(view.getUint32(16)).toBe(800);
+		expect(view.getUint32(20)).toBe(600);
+		expect(view.byteLength).toBeLessThan(800 * 600);
+	});
+
+	it('should generate fractal image with a color palette', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=100&height=100&bmp=false&palette=fire');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('image/png');
+	});
+
+	it('should reject an unknown palette', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=100&height=100&palette=plaid');
+		expect(response.status).toBe(400);
+	});
+
+	it('should echo viewport overrides in response headers', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=64&height=64&seed=5&type=julia&jx=0.1&zoom=1.5');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('X-Fractal-Jx')).toBe('0.1');
+		expect(response.headers.get('X-Fractal-Zoom')).toBe('1.5');
+		expect(response.headers.get('X-Fractal-Cx')).toBe('0');
+	});
+
+	it('should render every registered fractal type', async () => {
+		for (const type of ['mandelbrot', 'julia', 'burningship', 'tricorn', 'multibrot', 'newton', 'phoenix']) {
+			const response = await SELF.fetch(`http://localhost/fractal?width=32&height=32&seed=1&type=${type}`);
+			expect(response.status).toBe(200);
+			expect(response.headers.get('X-Fractal-Type')).toBe(type);
+		}
+	});
+
+	it('should reject an unknown fractal type', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?type=sierpinski');
+		expect(response.status).toBe(400);
+	});
+
+	it('should render smooth coloring modes with anti-aliasing', async () => {
+		for (const coloring of ['continuous', 'histogram', 'distance']) {
+			const response = await SELF.fetch(`http://localhost/fractal?width=48&height=48&seed=3&coloring=${coloring}&aa=2`);
+			expect(response.status).toBe(200);
+			expect(response.headers.get('X-Fractal-Coloring')).toBe(coloring);
+		}
+	});
+
+	it('should reject unsupported anti-aliasing levels', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?aa=8');
+		expect(response.status).toBe(400);
+	});
+
+	it('should return 304 for a matching ETag on seeded renders', async () => {
+		const first = await SELF.fetch('http://localhost/fractal?width=32&height=24&seed=11');
+		const etag = first.headers.get('ETag');
+		expect(etag).toMatch(/^"[0-9a-f]+"$/);
+		expect(first.headers.get('Cache-Control')).toContain('max-age');
+		await first.arrayBuffer();
+
+		const second = await SELF.fetch('http://localhost/fractal?width=32&height=24&seed=11', { headers: { 'If-None-Match': etag } });
+		expect(second.status).toBe(304);
+		expect(second.headers.get('ETag')).toBe(etag);
+	});
+
+	it('should not cache renders without a seed', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=32&height=24');
+		expect(response.headers.get('ETag')).toBeNull();
+	});
+
+	it('should render dithered 1-bit PNG output', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=64&height=48&seed=3&depth=1&dither=bayer&bmp=false');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('X-Fractal-Depth')).toBe('1');
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		expect(bytes[24]).toBe(1); // IHDR bit depth
+	});
+
+	it('should reject unsupported bit depths', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?depth=3');
+		expect(response.status).toBe(400);
+	});
+
+	it('should stamp a caption onto the image', async () => {
+		const plain = await SELF.fetch('http://localhost/fractal?width=64&height=32&seed=4&format=json');
+		const captioned = await SELF.fetch('http://localhost/fractal?width=64&height=32&seed=4&format=json&caption=auto');
+		expect(captioned.status).toBe(200);
+		const body = await captioned.json();
+		expect(body.params.caption).toBe('mandelbrot seed=4 iter=50');
+		expect(body.data).not.toBe((await plain.json()).data);
+	});
+
+	it('should reject an unknown caption corner', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?caption=hi&corner=middle');
+		expect(response.status).toBe(400);
+	});
+
+	it('should render an animated GIF zoom', async () => {
+		const response = await SELF.fetch('http://localhost/fractal/animate?width=40&height=30&frames=4&seed=3');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('image/gif');
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		expect(String.fromCharCode(...bytes.slice(0, 6))).toBe('GIF89a');
+	});
+
+	it('should reject animations over the pixel budget', async () => {
+		const response = await SELF.fetch('http://localhost/fractal/animate?width=400&height=300&frames=100');
+		expect(response.status).toBe(400);
+	});
+
+	it('should return JSON with base64 image data and iteration counts', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=4&height=3&seed=2&format=json');
+		expect(response.status).toBe(200);
+		const body = await response.json();
+		expect(body.width).toBe(4);
+		expect(body.height).toBe(3);
+		expect(body.iterations).toHaveLength(12);
+		expect(body.params.seed).toBe(2);
+		expect(atob(body.data).slice(1, 4)).toBe('PNG');
+	});
+
+	it('should negotiate JSON from the Accept header', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=4&height=3', { headers: { Accept: 'application/json' } });
+		expect(response.headers.get('Content-Type')).toBe('application/json');
+	});
+
+	it('should lift the size caps for signed URLs', async () => {
+		const signingEnv = { ...env, ENVIRONMENT: 'development', MASTER_KEY: 'test-secret' };
+		const signResponse = await worker.fetch(new Request('http://localhost/fractal/sign?ttl=60&seed=3&width=900&height=10&iter=900'), signingEnv, createExecutionContext());
+		const { url } = await signResponse.json();
+
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(new Request(url), signingEnv, ctx);
+		await waitOnExecutionContext(ctx);
+		expect(response.status).toBe(200);
+		expect(response.headers.get('X-Fractal-Iter')).toBe('900');
+		expect(response.headers.get('Cache-Control')).toMatch(/^public, max-age=\d+$/);
+
+		const tampered = await worker.fetch(new Request(url.replace('width=900', 'width=901')), signingEnv, createExecutionContext());
+		expect(tampered.status).toBe(403);
+
+		const jsonSign = await worker.fetch(new Request('http://localhost/fractal/sign?ttl=60&seed=3&width=900&height=4&iter=900&format=json'), signingEnv, createExecutionContext());
+		const json = await worker.fetch(new Request((await jsonSign.json()).url), signingEnv, createExecutionContext());
+		const body = await json.json();
+		expect(body.width).toBe(800);
+		expect(body.params.iter).toBe(800);
+	});
+
+	it('should refuse to sign URLs with resource-scoped API keys', async () => {
+		const signingEnv = { ...env, ENVIRONMENT: 'production', MASTER_KEY: 'test-secret' };
+		const content = 'stucal_abc_2099-01-01_poll1';
+		const key = `${content}_${(await hmacHex('tes', content)).slice(0, 8)}`;
+		const response = await worker.fetch(new Request(`http://localhost/fractal/sign?key=${key}&seed=3`), signingEnv, createExecutionContext());
+		expect(response.status).toBe(403);
+	});
+
+	it('should stream complete BMPs', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=40&height=30&seed=6&palette=fire');
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		expect(bytes.length).toBe(54 + 256 * 4 + 40 * 30);
+		expect(new DataView(bytes.buffer).getUint32(2, true)).toBe(bytes.length);
+	});
+
+	it('should reject invalid sizes before streaming', async () => {
+		for (const size of ['width=-4', 'width=abc', 'height=0']) {
+			const response = await SELF.fetch(`http://localhost/fractal?seed=6&${size}`);
+			expect(response.status).toBe(400);
+		}
+	});
+
+	it('should stream uncompressed PNGs on request', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=40&height=30&seed=6&format=png&stream=true');
+		expect(response.headers.get('Content-Type')).toBe('image/png');
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		expect(Array.from(bytes.subarray(1, 4))).toEqual([80, 78, 71]);
+		// Stored blocks: every row plus its filter byte is present verbatim
+		expect(bytes.length).toBeGreaterThan(40 * 30);
+	});
+
+	it('should render PPM when requested by format', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=4&height=3&seed=1&palette=fire&format=ppm');
+		expect(response.headers.get('Content-Type')).toBe('image/x-portable-pixmap');
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		expect(new TextDecoder().decode(bytes.subarray(0, 11))).toBe('P6\n4 3\n255\n');
+		expect(bytes.length).toBe(11 + 4 * 3 * 3);
+	});
+
+	it('should negotiate QOI from the Accept header', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?width=4&height=3', { headers: { Accept: 'image/qoi' } });
+		expect(response.headers.get('Content-Type')).toBe('image/qoi');
+		const bytes = new Uint8Array(await response.arrayBuffer());
+		expect(new TextDecoder().decode(bytes.subarray(0, 4))).toBe('qoif');
+	});
+
+	it('should render deep zooms with exact centers', async () => {
+		const cx = '-0.000000000000000000000000000012345678901234567890123';
+		const response = await SELF.fetch(`http://localhost/fractal?width=32&height=24&seed=1&type=mandelbrot&cx=${cx}&cy=1&zoom=1e-30&iter=200`);
+		expect(response.status).toBe(200);
+		expect(response.headers.get('X-Fractal-Cx')).toBe(cx);
+
+		const json = await SELF.fetch(`http://localhost/fractal?width=8&height=6&seed=1&type=mandelbrot&cx=${cx}&cy=1&zoom=1e-30&iter=200&format=json`);
+		expect((await json.json()).params.cx).toBe(cx);
+	});
+
+	it('should reject iteration counts below one', async () => {
+		const response = await SELF.fetch('http://localhost/fractal?iter=-5&zoom=1e-20&cx=-0.75&cy=0.1&type=mandelbrot');
+		expect(response.status).toBe(400);
+	});
+
+	it('should serve tiles deeper than double precision', async () => {
+		const response = await SELF.fetch('http://localhost/fractal/tiles/mandelbrot/60/763810496802036121/864691128455135232.png?iter=100');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('image/png');
+	});
+
+	it('should render a contact sheet of seeds', async () => {
+		const response = await SELF.fetch('http://localhost/fractal/sheet?seeds=1,2,3&width=32&height=24');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('image/png');
+		expect(response.headers.get('X-Fractal-Seeds')).toBe('1,2,3');
+		expect(response.headers.get('X-Fractal-Columns')).toBe('2');
+	});
+
+	it('should reject contact sheets with too many seeds', async () => {
+		const response = await SELF.fetch('http://localhost/fractal/sheet?count=500');
+		expect(response.status).toBe(400);
+	});
+
+	it('should render the same avatar for the same string', async () => {
+		const first = await SELF.fetch('http://localhost/fractal/avatar?for=alice&size=32');
+		const second = await SELF.fetch('http://localhost/fractal/avatar?for=alice&size=32');
+		expect(first.status).toBe(200);
+		expect(first.headers.get('Content-Type')).toBe('image/png');
+		expect(first.headers.get('X-Fractal-Type')).toBe(second.headers.get('X-Fractal-Type'));
+		expect(new Uint8Array(await first.arrayBuffer())).toEqual(new Uint8Array(await second.arrayBuffer()));
+	});
+
+	it('should require a string for avatars', async () => {
+		const response = await SELF.fetch('http://localhost/fractal/avatar?size=32');
+		expect(response.status).toBe(400);
+	});
+
+	it('should serve the fractal explorer page', async () => {
+		const response = await SELF.fetch('http://localhost/fractal/explorer');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toContain('text/html');
+		const html = await response.text();
+		expect(html).toContain('Fractal Explorer');
+		expect(html).toContain('"burningship"');
+	});
+
+	it('should serve cacheable map tiles', async () => {
+		const response = await SELF.fetch('http://localhost/fractal/tiles/mandelbrot/1/0/1.png');
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toBe('image/png');
+		expect(response.headers.get('Cache-Control')).toContain('immutable');
+	});
+
+	it('should return 404 for tiles outside the zoom level', async () => {
+		const response = await SELF.fetch('http://localhost/fractal/tiles/mandelbrot/1/2/0.png');
+		expect(response.status).toBe(404);
+	});
+
 	it('should convert NDJSON to JSON', async () => {
 		const ndjson = '{"key1":"value1"}\n{"key2":"value2"}';
 		const response = await SELF.fetch('http://localhost/ndjson-to-json', {
@@ -49,6 +314,141 @@ describe('Fractal Worker', () => {
 		expect(await response.json()).toEqual([{ key1: 'value1' }, { key2: 'value2' }]);
 	});
 
+	it('should apply limit and since while converting NDJSON', async () => {
+		const ndjson = [1, 2, 3, 4].map(id => JSON.stringify({ id, time: 1700000000 + id })).join('\n');
+		const response = await SELF.fetch('http://localhost/ndjson-to-json?since=1700000002&limit=2', { method: 'POST', body: ndjson });
+		expect(response.status).toBe(200);
+		expect((await response.json()).map(record => record.id)).toEqual([2, 3]);
+	});
+
+	it('should only stop at an older record for newest-first feeds', async () => {
+		const ndjson = '{"time":100}\n{"time":99}\n{"time":200}\n';
+		const response = await SELF.fetch('http://localhost/ndjson-to-json?since=150', { method: 'POST', body: ndjson });
+		expect(await response.json()).toEqual([{ time: 200 }]);
+
+		const descending = await SELF.fetch('http://localhost/ndjson-to-json?since=150&order=desc', { method: 'POST', body: '{"time":200}\n{"time":100}\n{"time":300}\n' });
+		expect(await descending.json()).toEqual([{ time: 200 }]);
+	});
+
+	it('should reject invalid NDJSON', async () => {
+		const response = await SELF.fetch('http://localhost/ndjson-to-json', { method: 'POST', body: '{"a":1}\nnot json\n' });
+		expect(response.status).toBe(400);
+		expect(await response.text()).toContain('line 2, column 2');
+	});
+
+	it('should end a started NDJSON response with the error of a late bad line', async () => {
+		const body = Array.from({ length: 3000 }, (_, id) => JSON.stringify({ id, text: 'x'.repeat(20) })).join('\n') + '\nnot json\n';
+		const response = await SELF.fetch('http://localhost/ndjson-to-json', { method: 'POST', body });
+		expect(response.status).toBe(200);
+		const lines = (await response.text()).split('\n');
+		expect(JSON.parse(lines.at(-1)).error).toContain('line 3001, column 2');
+	});
+
+	it('should skip and report invalid lines in lenient mode', async () => {
+		const body = '{"a":1}\n{"b": nope}\n{"c":3}\n';
+		const response = await SELF.fetch('http://localhost/ndjson-to-json?mode=lenient', { method: 'POST', body });
+		expect(response.status).toBe(200);
+		const { items, errors } = await response.json();
+		expect(items).toEqual([{ a: 1 }, { c: 3 }]);
+		expect(errors).toHaveLength(1);
+		expect(errors[0]).toMatchObject({ line: 2, column: 8, snippet: '{"b": nope}' });
+	});
+
+	it('should convert an uploaded gzip NDJSON file', async () => {
+		const gzipped = await new Response(new Blob(['{"a":1}\n{"b":2}\n']).stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer();
+		const form = new FormData();
+		form.append('file', new File([gzipped], 'events.ndjson.gz'));
+		const response = await SELF.fetch('http://localhost/ndjson-to-json', { method: 'POST', body: form });
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual([{ a: 1 }, { b: 2 }]);
+	});
+
+	it('should limit multipart uploads without a Content-Length', async () => {
+		const body = new Blob(['--b\r\nContent-Disposition: form-data; name="file"\r\n\r\n', '{"a":1}\n'.repeat(100), '\r\n--b--\r\n']).stream();
+		const request = new Request('http://localhost/ndjson-to-json', { method: 'POST', body, duplex: 'half', headers: { 'Content-Type': 'multipart/form-data; boundary=b' } });
+		expect(request.headers.get('Content-Length')).toBeNull();
+		expect((await readRequestText(request, 500)).status).toBe(413);
+	});
+
+	it('should convert a posted XML body', async () => {
+		const response = await SELF.fetch('http://localhost/xml-to-json', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/xml' },
+			body: '<root><item id="1">x</item></root>'
+		});
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ root: [{ item: { '#text': 'x', '@_id': '1' } }] });
+	});
+
+	it('should explode a nested JSON array to NDJSON', async () => {
+		const response = await SELF.fetch('http://localhost/json-to-ndjson?path=data.items', {
+			method: 'POST',
+			body: '{"data":{"items":[{"a":1},{"b":2}]}}'
+		});
+		expect(response.headers.get('Content-Type')).toBe('application/x-ndjson');
+		expect(await response.text()).toBe('{"a":1}\n{"b":2}\n');
+	});
+
+	it('should round-trip XML through JSON', async () => {
+		const xml = '<root><item id="1" on="true">x</item><item id="2">y</item></root>';
+		const json = await (await SELF.fetch('http://localhost/xml-to-json', { method: 'POST', body: xml })).text();
+		const response = await SELF.fetch('http://localhost/json-to-xml', { method: 'POST', body: json });
+		expect(response.headers.get('Content-Type')).toBe('application/xml');
+		expect(await response.text()).toBe(xml);
+	});
+
+	it('should apply XML parser presets and overrides', async () => {
+		const xml = '<a:feed xmlns:a="urn:a"><a:entry id="7"><n>0012</n><on>true</on></a:entry></a:feed>';
+		const simple = await SELF.fetch('http://localhost/xml-to-json?preset=simple&arrays=entry&numbers=false', { method: 'POST', body: xml });
+		expect(await simple.json()).toEqual({ feed: { entry: [{ id: '7', n: '0012', on: true }] } });
+
+		const invalid = await SELF.fetch('http://localhost/xml-to-json?preset=verbose', { method: 'POST', body: xml });
+		expect(invalid.status).toBe(400);
+	});
+
+	it('should select, filter, sort and limit records from nested XML', async () => {
+		const xml = '<Data><Train><Code>A1</Code><Due>12</Due></Train><Train><Code>B2</Code><Due>3</Due></Train><Train><Code>C3</Code><Due>7</Due></Train></Data>';
+		const query = new URLSearchParams({ select: '$..Train[*],Code', where: 'Due>5', sort: '-Due', limit: '1' });
+		const response = await SELF.fetch(`http://localhost/xml-to-json?${query}`, { method: 'POST', body: xml });
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual([{ Code: 'A1' }]);
+
+		const limited = await SELF.fetch('http://localhost/xml-to-json?limit=1', { method: 'POST', body: xml });
+		expect(await limited.json()).toEqual({ Data: [{ Train: [{ Code: 'A1', Due: 12 }, { Code: 'B2', Due: 3 }, { Code: 'C3', Due: 7 }] }] });
+	});
+
+	it('should project NDJSON fields and reject bad where conditions', async () => {
+		const ndjson = '{"id":1,"user":{"name":"Ann"}}\n{"id":2,"user":{"name":"Bob"}}\n';
+		const response = await SELF.fetch('http://localhost/ndjson-to-json?select=id,user.name&where=user.name~=B', { method: 'POST', body: ndjson });
+		expect(await response.json()).toEqual([{ id: 2, 'user.name': 'Bob' }]);
+
+		const invalid = await SELF.fetch('http://localhost/ndjson-to-json?where=user.name', { method: 'POST', body: ndjson });
+		expect(invalid.status).toBe(400);
+	});
+
+	it('should parse quoted CSV fields with embedded delimiters and newlines', async () => {
+		const csv = 'id,name,note,zip\r\n1,"Smith, J","line one\nline ""two""",02134\r\n2,Lee,,10001\r\n';
+		const response = await SELF.fetch('http://localhost/csv-to-json', { method: 'POST', body: csv });
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual([
+			{ id: 1, name: 'Smith, J', note: 'line one\nline "two"', zip: '02134' },
+			{ id: 2, name: 'Lee', note: null, zip: 10001 }
+		]);
+	});
+
+	it('should give every repeated CSV column a unique name', async () => {
+		const response = await SELF.fetch('http://localhost/csv-to-json', { method: 'POST', body: 'a,a,a_2\n1,2,3\n' });
+		expect(await response.json()).toEqual([{ a: 1, a_2: 2, a_2_2: 3 }]);
+	});
+
+	it('should round-trip TSV through JSON', async () => {
+		const tsv = 'a\tb\r\nx y\t"tab\there"\r\n';
+		const json = await (await SELF.fetch('http://localhost/csv-to-json?delimiter=tab&types=false', { method: 'POST', body: tsv })).text();
+		const response = await SELF.fetch('http://localhost/json-to-csv?delimiter=tab', { method: 'POST', body: json });
+		expect(response.headers.get('Content-Type')).toBe('text/tab-separated-values; charset=utf-8');
+		expect(await response.text()).toBe(tsv);
+	});
+
 	it('should return 404 for unknown routes', async () => {
 		const response = await SELF.fetch('http://localhost/unknown');
 		expect(response.status).toBe(404);